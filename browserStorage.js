@@ -0,0 +1,42 @@
+// localStorage when the browser allows it, else an in-memory stand-in that lasts for the page's lifetime
+
+// Storage interface subset used by the stores: length, key, getItem, setItem, removeItem
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// Reading window.localStorage throws in privacy modes and sandboxed iframes, and writes can fail there too
+export function openLocalStorage() {
+    try {
+        const storage = window.localStorage;
+        const probe = '__storageProbe__';
+        storage.setItem(probe, probe);
+        storage.removeItem(probe);
+        return storage;
+    } catch (error) {
+        console.warn('localStorage is unavailable; saved data will only last until the page is closed:', error);
+        return new MemoryStorage();
+    }
+}
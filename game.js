@@ -1,15 +1,39 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
 import { HandLandmarker, FilesetResolver } from 'https://esm.sh/@mediapipe/tasks-vision@0.10.14';
 import ForceGraph3D from 'https://esm.sh/3d-force-graph';
 import { EffectComposer, RenderPass, EffectPass, BloomEffect } from 'postprocessing';
 import { AudioManager } from './audioManager.js';
 import { SpeechManager } from './SpeechManager.js';
+import { GraphDataSource, GraphDataError, assertValidGraphData } from './graphDataSource.js';
+import { LayoutStore, captureLayout, isLayout } from './layoutStore.js';
+import { NodeDetailCard } from './nodeDetailCard.js';
+import { createColorScale, getNeighbours, getNodeLabel, linkEndpointId, normalizeName } from './graphUtils.js';
+import { applyOperation, diffGraph, normalizePatch } from './graphMutations.js';
+import { GraphStreamClient } from './graphStream.js';
+import { ScreenSpaceGrid } from './spatialIndex.js';
+import { getBenchmarkConfig, generateSyntheticGraph, runPickBenchmark } from './pickBenchmark.js';
+import { LabelManager } from './labelManager.js';
+import { GraphHighlighter } from './graphHighlighter.js';
+import { kHopNeighbourhood, shortestPath } from './graphAlgorithms.js';
+import { METRICS, computeMetric, isCategoricalMetric } from './graphAnalytics.js';
+import { GraphLegend } from './graphLegend.js';
+import { searchNodes, ambiguousMatches } from './nodeSearch.js';
+import { GraphFilter, strongLinkThreshold } from './graphFilter.js';
+import { LINK_ENCODINGS, SPOKEN_LINK_ENCODING, createWeightScale, parseLinkEncoding } from './linkEncoding.js';
+import { GroupCollapser, isSuperNode } from './groupCollapse.js';
+import { LAYOUTS, STATIC_LAYOUTS, FLAT_LAYOUTS, computeLayout, parseLayoutName } from './graphLayouts.js';
+import { Timeline, formatTimestamp, parseTimestamp } from './timeline.js';
+import { GestureEngine, measureHand } from './gestureEngine.js';
+import { Lasso, pointInPolygon } from './lasso.js';
+import { UndoHistory } from './undoHistory.js';
+import { VelocityTracker } from './velocityTracker.js';
+import { CalibrationStore, CalibrationWizard, CALIBRATION_STEPS, createProfile, normalizeProfileName } from './gestureCalibration.js';
 
 export class Game {
-    constructor(renderDiv) {
+    constructor(renderDiv, config = {}) {
         this.renderDiv = renderDiv;
+        this.config = config;
         this.gameState = 'loading';
         this.clock = new THREE.Clock();
         
@@ -20,9 +44,32 @@ export class Game {
         this.restartHint = document.getElementById('restartHint');
         this.speechBubble = document.getElementById('speechBubble');
         this.forceGraphContainer = document.getElementById('forceGraphContainer');
+        this.labelLayer = document.getElementById('labelLayer');
+        this.sizeMetricSelect = document.getElementById('sizeMetricSelect');
+        this.colorMetricSelect = document.getElementById('colorMetricSelect');
+        this.linkEncodingSelect = document.getElementById('linkEncodingSelect');
+        this.graphLegend = new GraphLegend(document.getElementById('graphLegend'));
+        this.groupFilterList = document.getElementById('groupFilterList');
+        this.minLinkValueSlider = document.getElementById('minLinkValueSlider');
+        this.minLinkValueLabel = document.getElementById('minLinkValueLabel');
+        this.hideIsolatedCheckbox = document.getElementById('hideIsolatedCheckbox');
         this.interactionModeMenu = document.getElementById('interactionModeMenu');
+        this.inferredActionBadge = document.getElementById('inferredActionBadge');
+        this.lassoPath = document.getElementById('lassoPath');
+        this.layoutSelect = document.getElementById('layoutSelect');
         this.instructionsBox = document.getElementById('instructionsBox');
         this.instructionsText = document.getElementById('instructionsText');
+        this.timelineBar = document.getElementById('timeline');
+        this.timelinePlayButton = document.getElementById('timelinePlayButton');
+        this.timelineSlider = document.getElementById('timelineSlider');
+        this.timelineLabel = document.getElementById('timelineLabel');
+        this.calibrateButton = document.getElementById('calibrateButton');
+        this.calibrationOverlay = document.getElementById('calibrationOverlay');
+        this.calibrationStepLabel = document.getElementById('calibrationStep');
+        this.calibrationPrompt = document.getElementById('calibrationPrompt');
+        this.calibrationProgressBar = document.getElementById('calibrationProgressBar');
+        this.calibrationCancelButton = document.getElementById('calibrationCancelButton');
+        this.nodeDetailCard = new NodeDetailCard(document.getElementById('nodeDetailCard'), renderDiv);
         
         // Hand tracking properties
         this.handLandmarker = null;
@@ -47,24 +94,78 @@ export class Game {
             THUMB_TIP: 4,
             INDEX_FINGER_TIP: 8,
             MIDDLE_FINGER_MCP: 9,
-            FINGERTIP_LANDMARKS: [0, 4, 8, 12, 16, 20],
-            FINGERTIP_INDICES_FOR_FIST: [8, 12, 16, 20]
+            FINGERTIP_LANDMARKS: [0, 4, 8, 12, 16, 20]
         };
         
         this.THRESHOLDS = {
-            PINCH_SCREEN: 50,
             NODE_PICK_SCREEN: 80,
             HOVER_SCREEN: 40,
-            FIST_CURL_RATIO: 0.75,
-            MIN_FINGERS_CURLED_FOR_FIST: 3
+            HOVER_DWELL_MS: 700,
+            PINCH_HOLD_MS: 600,
+            PINCH_HOLD_MOVE_SCREEN: 12,
+            // Share of its distance from the camera a held node must move in depth to count as dragged
+            PINCH_HOLD_MOVE_DEPTH: 0.1
         };
         
+        this.INTERACTION_MODES = ['auto', 'drag', 'rotate', 'zoom', 'pan', 'time'];
+        
         this.INTERACTION = {
             ROTATION_SENSITIVITY_X: 0.006,
             ROTATION_SENSITIVITY_Y: 0.004,
             ZOOM_SENSITIVITY: 2.0,
             MIN_CAMERA_DISTANCE_GRAPH: 100,
-            MAX_CAMERA_DISTANCE_GRAPH: 1100
+            MAX_CAMERA_DISTANCE_GRAPH: 1100,
+            CAMERA_TRANSITION_MS: 1000,
+            // How long the camera must stay still before a move is recorded for undo
+            CAMERA_SETTLE_MS: 400,
+            MAX_FOCUS_HOPS: 5,
+            LAYOUT_TRANSITION_MS: 1200,
+            SEARCH_CAMERA_DISTANCE: 160,
+            // Screen widths of hand travel to sweep the whole timeline, and pixels ignored as jitter
+            TIME_SCRUB_SCREEN_WIDTHS: 0.6,
+            TIME_SCRUB_DEADZONE: 2,
+            // Restyling every node and link is too slow to do each frame while the timeline plays or scrubs
+            TIMELINE_RESTYLE_MS: 100,
+            // Dragging in depth: how strongly the hand's depth cue scales the node's distance from the camera,
+            // the change ignored as jitter, the weight of landmark z against apparent hand size, and the nearest
+            // a dragged node may be pulled towards the camera (a node grabbed closer than that can stay where it is)
+            DRAG_DEPTH_GAIN: 2,
+            DRAG_DEPTH_DEADZONE: 0.05,
+            HAND_Z_DEPTH_WEIGHT: 1,
+            MIN_DRAG_DEPTH: 20,
+            // Throwing: share of the hand's speed a released node keeps, and the speeds (world units per
+            // simulation tick) below which a release is a plain drop and above which the throw is capped
+            FLING_DAMPING: 0.5,
+            MIN_FLING_SPEED: 1,
+            MAX_FLING_SPEED: 25,
+            SIMULATION_TICK_MS: 1000 / 60,
+            // Rotation keeps turning after a fist opens, slowing with this time constant until it drops below
+            // the minimum speed (screen pixels per millisecond)
+            ROTATION_INERTIA_DAMPING: 0.8,
+            ROTATION_INERTIA_DECAY_MS: 350,
+            MIN_ROTATION_INERTIA_SPEED: 0.02
+        };
+        
+        this.GRAPH_STYLE = {
+            LINK_WIDTH: 2,
+            LINK_COLOR: '#f0f0f0',
+            PATH_LINK_COLOR: '#ffdd00',
+            PATH_LINK_WIDTH_SCALE: 2.5,
+            SEARCH_RESULT_COLOR: '#00ffff',
+            SEARCH_CANDIDATE_COLOR: '#ff66ff',
+            SELECTION_COLOR: '#7cff4f',
+            FRAME_PADDING: 80,
+            METRIC_LOW_COLOR: '#2c7bb6',
+            METRIC_HIGH_COLOR: '#d7191c',
+            MAX_NODE_VAL: 8,
+            // Link encodings
+            LINK_MIN_WIDTH_SCALE: 0.4,
+            LINK_MAX_WIDTH_SCALE: 3,
+            LINK_MIN_WEIGHT_OPACITY: 0.25,
+            LINK_ARROW_LENGTH: 8,
+            LINK_MAX_PARTICLES: 4,
+            LINK_PARTICLE_WIDTH: 2.5,
+            LINK_PARTICLE_SPEED: 0.004
         };
         
         // Hand connections for MediaPipe landmarks
@@ -82,24 +183,109 @@ export class Game {
         this.speechManager = null;
         
         // Graph properties
+        this.graphDataSource = new GraphDataSource(config.graph);
+        this.graphData = null;
+        this.graphLoadError = null;
+        this.graphStream = null;
+        // Groups, link weights and unlinked nodes hidden from the view pushed to the force graph
+        this.graphFilter = new GraphFilter();
+        // Groups shown as a single aggregate super-node
+        this.groupCollapser = new GroupCollapser();
+        // Active layout (see graphLayouts.js) and the tween moving nodes towards it
+        this.layoutMode = 'force';
+        this.layoutTransition = null;
+        // Scrub/playback position for graphs with start/end timestamps
+        this.timeline = new Timeline();
+        this.timelineRestyle = { pending: false, lastTime: -Infinity };
+        this.benchmarkConfig = getBenchmarkConfig();
+        this.nodeIndex = new ScreenSpaceGrid(this.THRESHOLDS.NODE_PICK_SCREEN);
+        this.lastIndexedCameraMatrix = new THREE.Matrix4();
         this.forceGraph = null;
         this.graphComposer = null;
         this.bloomEffect = null;
-        this.css2DRenderer = null;
+        this.labelManager = null;
+        this.highlighter = new GraphHighlighter();
+        this.groupColorScale = createColorScale();
+        this.pathQuery = { isPicking: false, weighted: false, pickedNodes: [] };
+        // Neighbourhood focus: the nodes plus everything within `hops` stays visible. `node` is the one a tap
+        // expands around. emptyPinch tracks a pinch on empty space so a quick tap there can collapse the focus.
+        this.focus = { node: null, nodes: [], hops: 1, emptyPinch: null };
+        // Nodes picked by lasso or by voice; dragging one of them carries the rest along
+        this.selection = new Set();
+        // Loop being traced by a pointing finger, and the hand tracing it
+        this.lasso = new Lasso();
+        this.lassoHandIndex = null;
+        // Nodes offered when a search is ambiguous, chosen by number or by pinching one
+        this.searchQuery = { candidates: [] };
+        
+        // Analytics: which metric drives node size and colour, with values cached per graph change
+        this.nodeMetrics = { size: null, color: 'group' };
+        this.metricCache = new Map();
+        this.communityColorScale = createColorScale();
         
-        // Interaction state
-        this.interactionMode = 'drag';
-        this.draggedNodeInfo = {
-            handIndex: -1,
+        // Link encoding preset and the weight scale for the current view
+        const linkEncoding = new URLSearchParams(window.location.search).get('links') || config.links?.encoding;
+        this.linkEncoding = linkEncoding in LINK_ENCODINGS ? linkEncoding : 'uniform';
+        this.linkWeightScale = null;
+        
+        // Interaction state. In 'auto' mode the gesture picks the action; the other modes are explicit.
+        const interactionMode = new URLSearchParams(window.location.search).get('mode') || config.interaction?.mode;
+        this.interactionMode = this.INTERACTION_MODES.includes(interactionMode) ? interactionMode : 'auto';
+        // Action each hand's gesture was taken as in auto mode: 'drag', 'rotate', 'pan', 'zoom' or null
+        this.inferredActions = [null, null];
+        // Gestures are recognised by the engine (see gestureEngine.js); each mode subscribes to the ones it uses
+        this.gestureEngine = new GestureEngine();
+        this.gestureSubscriptions = [];
+        this.handFrame = null;
+        this._subscribeModeGestures(this.interactionMode);
+        // Node moves, camera moves, filter changes and mode switches, undone by voice or a three-finger swipe
+        this.history = new UndoHistory();
+        // Last camera pose recorded in the history, and the last one seen while it was moving
+        this.cameraHistory = { settled: null, last: null, lastMoveTime: 0 };
+        // Slider drags are recorded as one change when the slider is let go
+        this.filterEditStart = null;
+        this.gestureEngine.on('swipe', { start: event => this._handleHistorySwipe(event) });
+        // Gesture thresholds calibrated per user, chosen by ?user=, the config or the last profile used
+        this.calibrationStore = new CalibrationStore();
+        this.calibrationWizard = null;
+        this.calibrationUser = normalizeProfileName(new URLSearchParams(window.location.search).get('user') ||
+            config.gestures?.user || this.calibrationStore.activeName) || null;
+        const calibrationProfile = this.calibrationUser && this.calibrationStore.load(this.calibrationUser);
+        if (calibrationProfile) this.gestureEngine.setThresholds(calibrationProfile.thresholds);
+        // Each tracked hand drags and hovers on its own, indexed like this.hands
+        this.draggedNodes = [0, 1].map(handIndex => ({
+            handIndex,
             node: null,
             screenOffset: new THREE.Vector2(),
-            initialNodeWorldPos: new THREE.Vector3()
-        };
+            // Distance of the node in front of the camera at pinch start, and the hand's depth cue then
+            initialDepth: 0,
+            handDepthStart: null,
+            pinchStartScreenPos: new THREE.Vector2(),
+            pinchStartTime: 0,
+            hasMoved: false,
+            // Other selected nodes moving with the held one: { node, offset } in world units
+            followers: [],
+            // Positions of the held nodes at pinch start, for undo
+            startPositions: [],
+            // Recent positions of the held node, so a release can throw it
+            velocity: new VelocityTracker()
+        }));
+        // Camera spin left over from a fist rotation, in screen pixels per millisecond
+        this.rotationInertia = null;
+        this.hoveredNodes = [null, null];
+        this.hoverStartTimes = [0, 0];
+        // The most recently hovered node, used as "this node" by voice commands
         this.currentlyHoveredNode = null;
         this.initialZoomWristDistance = null;
         this.initialZoomCameraDistance = null;
         this.isAutoRotating = false;
         this.autoRotateSpeed = 0.8;
+        this.lastInteractedNode = null;
+        
+        // Layout state
+        this.layoutStore = new LayoutStore();
+        // Nodes held where a restored layout put them until something frees them
+        this.frozenNodes = new Set();
         
         // Speech bubble state
         this.speechBubbleTimeout = null;
@@ -107,9 +293,12 @@ export class Game {
         
         // Instruction text for different modes
         this.instructionTexts = {
+            auto: "Pinch a node to drag it, make a fist to rotate, open a palm to pan, or open both palms and spread them to zoom",
             drag: "Pinch thumb and index finger together to grab and drag nodes",
             rotate: "Make a fist and move your hand to rotate the graph",
-            zoom: "Use both hands; - move wrists closer/apart to change zoom"
+            zoom: "Use both hands; - move wrists closer/apart to change zoom",
+            pan: "Open your palm, or hold up two fingers, and move it to pan the view",
+            time: "Swipe an open hand left or right to move through time (make a fist to reposition)"
         };
         
         this._init().catch(error => {
@@ -120,11 +309,13 @@ export class Game {
 
     async _init() {
         this._setupEventListeners();
+        this._updateInteractionModeUI();
         this._setupThree();
         this._setupForceGraph();
         this._setupSpeechRecognition();
         
         await this._loadAssets();
+        this._setupGraphStream();
         await this._setupHandTracking();
         await this.videoElement.play();
         
@@ -133,9 +324,53 @@ export class Game {
         this.gameState = 'tracking';
         this._startGame();
         this._animate();
+
+        if (this.graphLoadError) {
+            this._showError(this.graphLoadError.message);
+        }
     }
 
     _setupEventListeners() {
+        // Analytics metric pickers
+        this.sizeMetricSelect?.addEventListener('change', (e) => this._setNodeMetric('size', e.target.value || null));
+        this.colorMetricSelect?.addEventListener('change', (e) => this._setNodeMetric('color', e.target.value));
+        if (this.linkEncodingSelect) this.linkEncodingSelect.value = this.linkEncoding;
+        this.linkEncodingSelect?.addEventListener('change', (e) => this._setLinkEncoding(e.target.value));
+
+        // Filter panel
+        this.groupFilterList?.addEventListener('change', (e) => {
+            const group = this._getGraphGroups().find(g => String(g) === e.target.dataset.group);
+            if (group === undefined) return;
+            this._changeFilters(`${e.target.checked ? 'show' : 'hide'} group ${group}`,
+                () => this.graphFilter.setGroupVisible(group, e.target.checked));
+        });
+        this.minLinkValueSlider?.addEventListener('input', (e) => {
+            this.filterEditStart ??= this.graphFilter.getState();
+            this.graphFilter.minLinkValue = Number(e.target.value);
+            this.minLinkValueLabel.textContent = e.target.value;
+            this._refreshGraphView({ updateFilterPanel: false });
+        });
+        this.minLinkValueSlider?.addEventListener('change', () => {
+            if (this.filterEditStart) this._recordFilterChange('link weight filter', this.filterEditStart);
+            this.filterEditStart = null;
+        });
+        this.hideIsolatedCheckbox?.addEventListener('change', (e) => {
+            this._changeFilters(`${e.target.checked ? 'hide' : 'show'} unlinked nodes`,
+                () => { this.graphFilter.hideIsolated = e.target.checked; });
+        });
+
+        this.layoutSelect?.addEventListener('change', (e) => this._setLayout(e.target.value));
+
+        this.calibrateButton?.addEventListener('click', () => this._startCalibration());
+        this.calibrationCancelButton?.addEventListener('click', () => this._cancelCalibration());
+
+        this.timelinePlayButton?.addEventListener('click', () => this._setTimelinePlaying(!this.timeline.isPlaying));
+        this.timelineSlider?.addEventListener('input', (e) => {
+            this.timeline.pause();
+            const { min, max } = this.timeline.extent;
+            this._setTimelineTime(min + (max - min) * Number(e.target.value) / Number(e.target.max));
+        });
+
         // Mode menu click handlers
         this.interactionModeMenu.addEventListener('click', (e) => {
             if (e.target.classList.contains('mode-option')) {
@@ -151,6 +386,39 @@ export class Game {
                 this._restartGame();
             }
         });
+
+        // Dropping a dataset or layout file onto the page loads it
+        this.renderDiv.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.renderDiv.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer?.files?.[0];
+            if (!file) return;
+            this._handleDroppedFile(file).catch(error => {
+                console.error("Error loading dropped file:", error);
+                this._showError(error.message);
+            });
+        });
+    }
+
+    async _handleDroppedFile(file) {
+        const text = await file.text();
+        let layout = null;
+        try {
+            layout = JSON.parse(text);
+        } catch (error) {
+            // Not JSON, so not a layout; the data source reports format errors
+        }
+
+        if (isLayout(layout)) {
+            this._restoreLayout(layout);
+        } else {
+            this._setGraphData(this.graphDataSource.parse(text, file.name));
+            console.log(`Loaded graph from dropped file: ${file.name}`);
+        }
+        if (this.gameState === 'error') this._restartGame();
     }
 
     _setupThree() {
@@ -186,10 +454,11 @@ export class Game {
                 landmarks: null,
                 anchorPos: new THREE.Vector3(),
                 lineGroup,
-                isPinching: false,
-                pinchScreenPos: new THREE.Vector2(),
-                isFistClosed: false,
-                lastFistScreenPos: new THREE.Vector2()
+                lastFistScreenPos: new THREE.Vector2(),
+                fistVelocity: new VelocityTracker(),
+                // Where the hand was last seen while panning, and by which gesture's anchor point
+                panAnchor: null,
+                lastTimeScrubX: null
             });
         }
     }
@@ -197,11 +466,389 @@ export class Game {
     async _loadAssets() {
         console.log("Loading assets...");
         try {
-            console.log("No game-specific assets to load for template.");
+            if (this.benchmarkConfig) {
+                this._setGraphData(generateSyntheticGraph(this.benchmarkConfig.nodeCount));
+                setTimeout(() => this._runPickBenchmark(), 3000);
+                return;
+            }
+            this._setGraphData(await this.graphDataSource.load());
+        } catch (error) {
+            // Reported once tracking is up so a valid file can still be dropped in
+            console.error("Error loading graph data:", error);
+            this.graphLoadError = error;
+        }
+    }
+
+    _setGraphData(data) {
+        // Hands let go of the old graph's nodes before it is replaced, and its filters do not carry over
+        const oldNodes = new Set([...(this.graphData?.nodes || []), ...(this.forceGraph?.graphData().nodes || [])]);
+        this._releaseNodes(oldNodes);
+        this.graphFilter.reset();
+        this.graphData = data;
+        this.graphLoadError = null;
+        this.lastInteractedNode = null;
+        this.frozenNodes.clear();
+        this.layoutMode = 'force';
+        this.layoutTransition = null;
+        this._updateLayoutUI();
+        this.groupCollapser.reset();
+        this.highlighter.clearAll();
+        this.focus.node = null;
+        this.focus.nodes = [];
+        this.selection = new Set();
+        this._cancelLasso();
+        this.history.clear();
+        this.searchQuery.candidates = [];
+        this.pathQuery.pickedNodes = [];
+        this._assignNodeColors(data.nodes);
+        if (this.forceGraph) {
+            this.forceGraph.graphData(this._buildGraphView(data));
+        }
+        this._invalidateMetrics();
+        this._updateFilterPanel();
+        this.labelManager?.setGraphData(data);
+        this.nodeIndex.clear();
+        this.timeline.setGraphData(data);
+        this._updateTimelineUI();
+        console.log(`Graph data set: ${data.nodes.length} nodes, ${data.links.length} links.`);
+    }
+
+    _setupGraphStream() {
+        const streamUrl = this.graphDataSource.resolveStreamUrl();
+        if (!streamUrl) return;
+
+        this.graphStream = new GraphStreamClient(
+            streamUrl,
+            (patch) => {
+                if (patch?.snapshot) this._applyGraphSnapshot(patch.snapshot);
+                else if (this.graphData) this.applyGraphPatch(patch);
+            },
+            (status) => {
+                if (status === 'open') this._showSpeechBubbleStatus('Live graph feed connected');
+            }
+        );
+        this.graphStream.connect();
+    }
+
+    // A feed opens each connection with the whole graph, so patches after a reconnect start from
+    // the same state as the server. The snapshot is applied as the patch that turns the shown graph
+    // into it: nodes that stay keep their objects, so positions, drags, pins and selections carry on.
+    _applyGraphSnapshot(data) {
+        try {
+            assertValidGraphData(data, 'stream snapshot');
         } catch (error) {
-            console.error("Error loading assets:", error);
-            this._showError("Failed to load assets.");
-            throw error;
+            console.warn('Graph stream snapshot rejected:', error.message);
+            return;
+        }
+        if (!this.graphData) {
+            this._setGraphData(data);
+            return;
+        }
+        const { errors } = this.applyGraphPatch(diffGraph(this.graphData, data));
+        if (errors.length) console.warn(`Graph stream snapshot: ${errors.length} operations rejected`);
+    }
+
+    // Public mutation API. Operations edit the loaded graph in place, so existing nodes keep
+    // their positions and a node being dragged stays in the hand. See graphMutations.js for ops.
+    applyGraphPatch(patch) {
+        if (!this.graphData) throw new GraphDataError('No graph loaded');
+
+        const results = [];
+        const errors = [];
+        normalizePatch(patch).forEach(operation => {
+            try {
+                results.push(applyOperation(this.graphData, operation));
+            } catch (error) {
+                console.warn('Graph patch operation rejected:', error.message, operation);
+                errors.push(error);
+            }
+        });
+
+        if (results.length) this._onGraphMutated(results);
+        return { applied: results.length, errors };
+    }
+
+    addNode(node) {
+        return this._applySingleOperation({ op: 'addNode', node });
+    }
+
+    removeNode(id) {
+        return this._applySingleOperation({ op: 'removeNode', id });
+    }
+
+    updateNode(id, changes) {
+        return this._applySingleOperation({ op: 'updateNode', id, changes });
+    }
+
+    addLink(link) {
+        return this._applySingleOperation({ op: 'addLink', link });
+    }
+
+    removeLink(source, target) {
+        return this._applySingleOperation({ op: 'removeLink', source, target });
+    }
+
+    updateLink(source, target, changes) {
+        return this._applySingleOperation({ op: 'updateLink', source, target, changes });
+    }
+
+    _applySingleOperation(operation) {
+        const { errors } = this.applyGraphPatch(operation);
+        if (errors.length) throw errors[0];
+        return this;
+    }
+
+    _onGraphMutated(results) {
+        const removedNodes = new Set(results.flatMap(result => result.removedNodes));
+        this._releaseNodes(removedNodes);
+
+        results.forEach(result => {
+            if (result.op === 'addNode') this._placeNewNode(result.node);
+        });
+        this._assignNodeColors(this.graphData.nodes);
+
+        this._syncGraphData();
+        this._invalidateMetrics();
+        this.labelManager?.setGraphData(this.graphData);
+        this.timeline.setGraphData(this.graphData);
+        this._updateTimelineUI();
+        this._updateFilterPanel();
+        this._refreshFocus();
+        this._reapplyLayout();
+    }
+
+    // Drops drag, hover, card and selection references to nodes that were removed or filtered out
+    _releaseNodes(nodes) {
+        if (!nodes.size) return;
+        this.draggedNodes.forEach(drag => {
+            if (drag.node && nodes.has(drag.node)) this._handlePinchEnd(drag.handIndex);
+            drag.followers = drag.followers.filter(({ node }) => !nodes.has(node));
+        });
+        this.hoveredNodes.forEach((node, handIndex) => {
+            if (nodes.has(node)) this._setHandHover(handIndex, null);
+        });
+        if (nodes.has(this.nodeDetailCard.node)) this.nodeDetailCard.hide();
+        if (nodes.has(this.lastInteractedNode)) this.lastInteractedNode = null;
+        this.searchQuery.candidates = this.searchQuery.candidates.filter(node => !nodes.has(node));
+        if ([...this.selection].some(node => nodes.has(node))) {
+            this._setSelection([...this.selection].filter(node => !nodes.has(node)));
+        }
+    }
+
+    // New nodes start next to an already placed neighbour instead of at the origin
+    _placeNewNode(node) {
+        if (Number.isFinite(node.x)) return;
+
+        const neighbour = getNeighbours(this.graphData, node.id).find(n => Number.isFinite(n.x));
+        if (!neighbour) return;
+
+        const jitter = () => (Math.random() - 0.5) * 20;
+        Object.assign(node, {
+            x: neighbour.x + jitter(),
+            y: neighbour.y + jitter(),
+            z: (neighbour.z || 0) + jitter()
+        });
+    }
+
+    _syncGraphData() {
+        if (!this.forceGraph || !this.graphData) return;
+        // Same node objects in new arrays: the force graph keeps positions and any fx/fy/fz of a held node
+        this.forceGraph.graphData(this._buildGraphView(this.graphData));
+        this.nodeIndex.markDirty();
+    }
+
+    // What the force graph shows: the data after filters, with collapsed groups folded into super-nodes
+    _buildGraphView(data) {
+        return this.groupCollapser.apply(this.graphFilter.apply(data));
+    }
+
+    // Pushes the filtered view and lets the simulation re-layout what is left
+    // updateFilterPanel is off while the panel itself drives the change, e.g. dragging the weight slider
+    _refreshGraphView({ updateFilterPanel = true } = {}) {
+        if (!this.forceGraph || !this.graphData) return;
+
+        const previousNodes = this.forceGraph.graphData().nodes;
+        this._setLayoutFrozen(false);
+        this._syncGraphData();
+        const visibleNodes = new Set(this.forceGraph.graphData().nodes);
+        this._releaseNodes(new Set(previousNodes.filter(node => !visibleNodes.has(node))));
+        this._invalidateMetrics();
+        if (updateFilterPanel) this._updateFilterPanel();
+        this._refreshFocus();
+        this._reapplyLayout();
+
+        const { nodes, links } = this.forceGraph.graphData();
+        console.log(`Graph view: ${nodes.length}/${this.graphData.nodes.length} nodes, ${links.length}/${this.graphData.links.length} links`);
+    }
+
+    _getGroupMembers(group) {
+        return this.graphData.nodes.filter(node => node.group === group);
+    }
+
+    _setGroupCollapsed(group, collapsed) {
+        if (!this.graphData || this.groupCollapser.isCollapsed(group) === collapsed) return;
+        if (collapsed) {
+            this.groupCollapser.collapse(group, this._getGroupMembers(group));
+        } else {
+            this.groupCollapser.expand(group, this._getGroupMembers(group));
+        }
+        this._refreshGraphView();
+        this._showSpeechBubbleStatus(`${collapsed ? 'Collapsed' : 'Expanded'} group ${group}`);
+    }
+
+    _setAllGroupsCollapsed(collapsed) {
+        if (!this.graphData) return;
+        this._getGraphGroups().forEach(group => {
+            if (collapsed) {
+                this.groupCollapser.collapse(group, this._getGroupMembers(group));
+            } else if (this.groupCollapser.isCollapsed(group)) {
+                this.groupCollapser.expand(group, this._getGroupMembers(group));
+            }
+        });
+        this._refreshGraphView();
+        this._showSpeechBubbleStatus(collapsed ? 'All groups collapsed' : 'All groups expanded');
+    }
+
+    // "this group" means the group of the hovered or last touched node
+    _handleGroupCollapseCommand(spoken, collapsed) {
+        const contextNode = this.currentlyHoveredNode || this.lastInteractedNode;
+        const group = /^(this|that)$/.test(spoken) ? contextNode?.group : this._findGroup(spoken);
+        if (group === undefined) {
+            this._showSpeechBubbleStatus(`No group "${spoken}"`, 2500);
+            return;
+        }
+        this._setGroupCollapsed(group, collapsed);
+    }
+
+    _getGraphGroups() {
+        const groups = new Set((this.graphData?.nodes || []).map(node => node.group));
+        return Array.from(groups).sort((a, b) =>
+            (typeof a === 'number' && typeof b === 'number') ? a - b : String(a).localeCompare(String(b))
+        );
+    }
+
+    // Rows are only rebuilt when the set of groups changes; otherwise the existing checkboxes are synced
+    _updateFilterPanel() {
+        if (!this.groupFilterList || !this.graphData) return;
+
+        const groups = this._getGraphGroups();
+        const checkboxes = Array.from(this.groupFilterList.querySelectorAll('input[type="checkbox"]'));
+        const sameGroups = checkboxes.length === groups.length &&
+            checkboxes.every((checkbox, i) => checkbox.dataset.group === String(groups[i]));
+        if (sameGroups) {
+            checkboxes.forEach((checkbox, i) => { checkbox.checked = this.graphFilter.isGroupVisible(groups[i]); });
+        } else {
+            const rows = groups.map(group => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.group = String(group);
+                checkbox.checked = this.graphFilter.isGroupVisible(group);
+                const swatch = document.createElement('span');
+                swatch.className = 'legend-swatch';
+                swatch.style.background = this.groupColorScale(group);
+                label.append(checkbox, swatch, document.createTextNode(String(group)));
+                return label;
+            });
+            this.groupFilterList.replaceChildren(...rows);
+        }
+
+        // The slider steps by the finest precision the link values use (1 for whole numbers, down to 0.001)
+        const { max, decimals } = this.graphData.links.reduce((range, link) => {
+            const value = link.value ?? 1;
+            const fraction = String(value).split('.')[1] || '';
+            return { max: Math.max(range.max, value), decimals: Math.max(range.decimals, fraction.length) };
+        }, { max: 1, decimals: 0 });
+        this.minLinkValueSlider.max = String(max);
+        this.minLinkValueSlider.step = String(10 ** -Math.min(decimals, 3));
+        this.minLinkValueSlider.value = String(this.graphFilter.minLinkValue);
+        this.minLinkValueLabel.textContent = String(this.graphFilter.minLinkValue);
+        this.hideIsolatedCheckbox.checked = this.graphFilter.hideIsolated;
+    }
+
+    // Matches a spoken group ("3", "three", "group name") against the groups in the data
+    _findGroup(spoken) {
+        const numberWords = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+            'eleven', 'twelve'];
+        const key = normalizeName(spoken);
+        const asNumber = numberWords.indexOf(key);
+        return this._getGraphGroups().find(group =>
+            normalizeName(group) === key || (asNumber !== -1 && group === asNumber)
+        );
+    }
+
+    _setGroupsVisible(spoken, visible, exclusive = false) {
+        const group = this._findGroup(spoken);
+        if (group === undefined) {
+            this._showSpeechBubbleStatus(`No group "${spoken}"`, 2500);
+            return;
+        }
+        this._changeFilters(exclusive ? `only group ${group}` : `${visible ? 'show' : 'hide'} group ${group}`, () => {
+            if (exclusive) {
+                this._getGraphGroups().forEach(g => this.graphFilter.setGroupVisible(g, g === group));
+            } else {
+                this.graphFilter.setGroupVisible(group, visible);
+            }
+        });
+        this._showSpeechBubbleStatus(exclusive ? `Only group ${group}` : `${visible ? 'Showing' : 'Hiding'} group ${group}`);
+    }
+
+    _setMinLinkValue(value) {
+        this._changeFilters('link weight filter', () => { this.graphFilter.minLinkValue = Math.max(0, value); });
+        this._showSpeechBubbleStatus(value > 0 ? `Links with weight ≥ ${value}` : 'All links');
+    }
+
+    // Applies a filter change to the view and records it for undo
+    _changeFilters(label, change) {
+        const before = this.graphFilter.getState();
+        change();
+        this._refreshGraphView();
+        this._recordFilterChange(label, before);
+    }
+
+    _recordFilterChange(label, before) {
+        const after = this.graphFilter.getState();
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        const restore = state => {
+            this.graphFilter.setState(state);
+            this._refreshGraphView();
+        };
+        this.history.record({ label, undo: () => restore(before), redo: () => restore(after) });
+    }
+
+    // Re-bins the screen-space node index when the simulation ticked or the camera moved
+    _refreshNodeIndex() {
+        const camera = this.forceGraph?.camera();
+        if (!camera) return;
+
+        if (!camera.matrixWorld.equals(this.lastIndexedCameraMatrix)) {
+            this.lastIndexedCameraMatrix.copy(camera.matrixWorld);
+            this.nodeIndex.markDirty();
+        }
+        this.nodeIndex.update(this.forceGraph.graphData().nodes, (node, target) => this._projectPickable(node, target));
+    }
+
+    // Nodes behind the camera would project mirrored through the middle of the screen, where they could
+    // be hovered and picked through the view, so they are left out
+    _projectPickable(node, target) {
+        return this._getViewDepth(node) > 0 ? this._worldToScreen(node, target) : null;
+    }
+
+    _runPickBenchmark() {
+        if (!this.forceGraph) return;
+
+        const result = runPickBenchmark(
+            this.forceGraph.graphData().nodes,
+            (node, target) => this._projectPickable(node, target),
+            { width: this.renderDiv.clientWidth, height: this.renderDiv.clientHeight },
+            this.THRESHOLDS.NODE_PICK_SCREEN
+        );
+        console.log("Pick benchmark:");
+        console.table(result);
+
+        if (this.instructionsText) {
+            this.instructionsText.textContent = `Pick benchmark (${result.nodes} nodes): grid ${result.gridMsPerPick} ms ` +
+                `vs scan ${result.linearScanMsPerPick} ms per pick (${result.speedup}x), update ${result.gridUpdateMs} ms`;
         }
     }
 
@@ -255,7 +902,10 @@ export class Game {
             if (!videoParams) return;
 
             const { clientWidth: canvasWidth, clientHeight: canvasHeight } = this.renderDiv;
+            this.handFrame = { videoParams, canvasWidth, canvasHeight };
+            this.gestureEngine.aspectRatio = videoParams.videoNaturalWidth / videoParams.videoNaturalHeight;
 
+            this._refreshNodeIndex();
             this._processHandResults(results, videoParams, canvasWidth, canvasHeight);
             this._updateNodeHover(videoParams, canvasWidth, canvasHeight);
             this._handleGlobalInteractionLogic(results, videoParams, canvasWidth, canvasHeight);
@@ -276,13 +926,15 @@ export class Game {
         this.hands.forEach((hand, i) => {
             if (results.landmarks?.[i]) {
                 this._updateHandLandmarks(hand, i, results.landmarks[i], videoParams, canvasWidth, canvasHeight);
-                this._updateHandInteraction(hand, i, videoParams, canvasWidth, canvasHeight);
+                // Gestures pause while calibrating, since their thresholds are being measured
+                if (!this.calibrationWizard) this.gestureEngine.update(i, hand.landmarks);
                 this._updateHandLines(i, hand.landmarks, videoParams, canvasWidth, canvasHeight);
                 hand.lineGroup.visible = true;
             } else {
                 this._resetHandState(hand, i);
             }
         });
+        if (this.calibrationWizard) this._updateCalibration();
     }
 
     _updateHandLandmarks(hand, handIndex, rawLandmarks, videoParams, canvasWidth, canvasHeight) {
@@ -312,83 +964,286 @@ export class Game {
         }
     }
 
-    _updateHandInteraction(hand, handIndex, videoParams, canvasWidth, canvasHeight) {
-        switch (this.interactionMode) {
+    // Gesture handlers per interaction mode; zoom is handled globally from both wrists
+    _getModeGestureHandlers(mode) {
+        switch (mode) {
             case 'drag':
-                this._updateDragMode(hand, handIndex, videoParams, canvasWidth, canvasHeight);
-                hand.isFistClosed = false;
-                break;
+                return {
+                    pinch: {
+                        start: event => this._handlePinchStart(event.handIndex, this._getGestureScreenPos(event), this._getHandDepth(event)),
+                        update: event => this._handlePinchMove(event.handIndex, this._getGestureScreenPos(event), this._getHandDepth(event)),
+                        end: event => this._handlePinchEnd(event.handIndex)
+                    },
+                    point: this._getLassoHandlers()
+                };
             case 'rotate':
-                this._updateRotateMode(hand, handIndex, videoParams, canvasWidth, canvasHeight);
-                if (hand.isPinching) this._handlePinchEnd(handIndex);
-                hand.isPinching = false;
-                break;
-            case 'zoom':
-                // Zoom is handled globally
-                break;
+                return {
+                    fist: {
+                        start: event => this._startGestureRotation(event),
+                        update: event => this._updateGestureRotation(event),
+                        end: event => this._endGestureRotation(event)
+                    }
+                };
+            case 'auto':
+                return this._getAutoGestureHandlers();
+            case 'pan': {
+                const panHandlers = {
+                    start: event => this._startGesturePan(event),
+                    update: event => this._updateGesturePan(event)
+                };
+                return { openPalm: panHandlers, twoFingers: panHandlers };
+            }
+            case 'time':
+                // An open hand moving sideways scrubs through time; closing it lets the hand move back without scrubbing
+                return {
+                    openPalm: {
+                        start: event => {
+                            this.hands[event.handIndex].lastTimeScrubX = this._getGestureScreenPos(event)?.x ?? null;
+                        },
+                        update: event => this._scrubTimeline(event),
+                        end: event => {
+                            this.hands[event.handIndex].lastTimeScrubX = null;
+                        }
+                    }
+                };
+            default:
+                return {};
         }
     }
 
-    _updateDragMode(hand, handIndex, videoParams, canvasWidth, canvasHeight) {
-        if (hand.landmarks.length <= Math.max(this.LANDMARK_INDICES.THUMB_TIP, this.LANDMARK_INDICES.INDEX_FINGER_TIP)) {
-            if (hand.isPinching) this._handlePinchEnd(handIndex);
-            hand.isPinching = false;
-            return;
-        }
+    _canDragNodes() {
+        return this.interactionMode === 'drag' || this.interactionMode === 'auto';
+    }
 
-        const thumbTip = hand.landmarks[this.LANDMARK_INDICES.THUMB_TIP];
-        const indexTip = hand.landmarks[this.LANDMARK_INDICES.INDEX_FINGER_TIP];
-        const thumbTipScreen = this._projectLandmarkToScreen(thumbTip, videoParams, canvasWidth, canvasHeight);
-        const indexTipScreen = this._projectLandmarkToScreen(indexTip, videoParams, canvasWidth, canvasHeight);
+    // Pointing with the index finger traces a lasso; closing the loop selects the nodes inside it
+    _getLassoHandlers(onStart = () => true, onEnd = () => {}) {
+        return {
+            start: event => {
+                const screenPos = this._getGestureScreenPos(event);
+                if (this.lassoHandIndex !== null || this.draggedNodes[event.handIndex].node || !screenPos || !onStart(event)) return;
+                this.lassoHandIndex = event.handIndex;
+                this.lasso.begin(screenPos);
+                this._updateLassoPath();
+            },
+            update: event => {
+                const screenPos = this._getGestureScreenPos(event);
+                if (this.lassoHandIndex !== event.handIndex || !screenPos) return;
+                if (this.lasso.add(screenPos)) this._updateLassoPath();
+            },
+            end: event => {
+                if (this.lassoHandIndex !== event.handIndex) return;
+                this._finishLasso();
+                onEnd(event);
+            }
+        };
+    }
 
-        if (!thumbTipScreen || !indexTipScreen) {
-            if (hand.isPinching) this._handlePinchEnd(handIndex);
-            hand.isPinching = false;
-            return;
-        }
+    // Auto mode resolves conflicts per hand: a hand holding a node only drags, two open palms zoom
+    // instead of panning, a zooming hand ignores pinches and fists, and otherwise the newest pose wins.
+    _getAutoGestureHandlers() {
+        const actionOf = event => this.inferredActions[event.handIndex];
+        const otherHand = event => 1 - event.handIndex;
+        return {
+            point: this._getLassoHandlers(
+                event => {
+                    if (actionOf(event) === 'drag' || actionOf(event) === 'zoom') return false;
+                    this._setInferredAction(event.handIndex, 'lasso');
+                    return true;
+                },
+                event => {
+                    if (actionOf(event) === 'lasso') this._setInferredAction(event.handIndex, null);
+                }
+            ),
+            pinch: {
+                start: event => {
+                    if (actionOf(event) === 'zoom') return;
+                    this._handlePinchStart(event.handIndex, this._getGestureScreenPos(event), this._getHandDepth(event));
+                    if (this.draggedNodes[event.handIndex].node) this._setInferredAction(event.handIndex, 'drag');
+                },
+                update: event => this._handlePinchMove(event.handIndex, this._getGestureScreenPos(event), this._getHandDepth(event)),
+                end: event => {
+                    this._handlePinchEnd(event.handIndex);
+                    if (actionOf(event) !== 'drag') return;
+                    // A palm that stayed open goes back to panning
+                    const isPalmOpen = this.gestureEngine.isActive(event.handIndex, 'openPalm');
+                    if (isPalmOpen) this.hands[event.handIndex].panAnchor = null;
+                    this._setInferredAction(event.handIndex, isPalmOpen ? 'pan' : null);
+                }
+            },
+            fist: {
+                start: event => {
+                    if (actionOf(event) === 'drag' || actionOf(event) === 'zoom') return;
+                    this._startGestureRotation(event);
+                    this._setInferredAction(event.handIndex, 'rotate');
+                },
+                update: event => {
+                    if (actionOf(event) === 'rotate') this._updateGestureRotation(event);
+                },
+                end: event => {
+                    if (actionOf(event) !== 'rotate') return;
+                    this._endGestureRotation(event);
+                    this._setInferredAction(event.handIndex, null);
+                }
+            },
+            openPalm: {
+                start: event => {
+                    if (actionOf(event) === 'drag' || actionOf(event) === 'zoom') return;
+                    if (this.inferredActions[otherHand(event)] === 'pan') {
+                        this.initialZoomWristDistance = null;
+                        this.initialZoomCameraDistance = null;
+                        this._setInferredAction(otherHand(event), 'zoom');
+                        this._setInferredAction(event.handIndex, 'zoom');
+                        return;
+                    }
+                    this._startGesturePan(event);
+                    this._setInferredAction(event.handIndex, 'pan');
+                },
+                update: event => {
+                    if (actionOf(event) === 'pan') this._updateGesturePan(event);
+                },
+                end: event => {
+                    const action = actionOf(event);
+                    if (action !== 'pan' && action !== 'zoom') return;
+                    this._setInferredAction(event.handIndex, null);
+                    // The hand left open carries on panning
+                    if (action === 'zoom') {
+                        this.hands[otherHand(event)].panAnchor = null;
+                        this._setInferredAction(otherHand(event), 'pan');
+                    }
+                }
+            }
+        };
+    }
 
-        const distance = thumbTipScreen.distanceTo(indexTipScreen);
-        const prevPinchState = hand.isPinching;
-        hand.isPinching = distance < this.THRESHOLDS.PINCH_SCREEN;
+    _setInferredAction(handIndex, action) {
+        if (this.inferredActions[handIndex] === action) return;
+        this.inferredActions[handIndex] = action;
+        this._updateInferredActionUI();
+    }
 
-        if (hand.isPinching) {
-            hand.pinchScreenPos.lerpVectors(thumbTipScreen, indexTipScreen, 0.5);
-        }
+    _updateInferredActionUI() {
+        if (!this.inferredActionBadge) return;
+        this.inferredActionBadge.classList.toggle('hidden', this.interactionMode !== 'auto');
+        const labels = { drag: 'Drag', rotate: 'Rotate', pan: 'Pan', zoom: 'Zoom', lasso: 'Lasso' };
+        const actions = [...new Set(this.inferredActions.filter(Boolean))];
+        this.inferredActionBadge.textContent = actions.length ? `Auto: ${actions.map(action => labels[action]).join(' + ')}` : 'Auto';
+        this.inferredActionBadge.classList.toggle('active', actions.length > 0);
+    }
 
-        // Handle pinch state changes
-        if (hand.isPinching && !prevPinchState) {
-            this._handlePinchStart(handIndex, hand.pinchScreenPos);
-        } else if (!hand.isPinching && prevPinchState) {
-            this._handlePinchEnd(handIndex);
-        } else if (hand.isPinching && prevPinchState && 
-                   this.draggedNodeInfo.handIndex === handIndex && this.draggedNodeInfo.node) {
-            this._handlePinchMove(handIndex, hand.pinchScreenPos);
-        }
+    _startGesturePan(event) {
+        const screenPos = this._getGestureScreenPos(event);
+        this.hands[event.handIndex].panAnchor = screenPos ? { gesture: event.gesture, screenPos } : null;
+    }
+
+    // Open palms anchor on the wrist and two fingers on the fingertips, so switching between them
+    // starts over from the new anchor instead of jumping the view by the distance between the two
+    _updateGesturePan(event) {
+        const screenPos = this._getGestureScreenPos(event);
+        const hand = this.hands[event.handIndex];
+        const last = hand.panAnchor;
+        if (screenPos && last?.gesture === event.gesture) this._handlePan(screenPos, last.screenPos);
+        hand.panAnchor = screenPos ? { gesture: event.gesture, screenPos } : null;
+    }
+
+    // Moves the camera and its orbit target together along the screen axes, so the graph follows the hand
+    _handlePan(currentPos, lastPos) {
+        if (!this.forceGraph?.controls()?.target || !this.forceGraph?.camera()) return;
+        this.rotationInertia = null;
+
+        const controls = this.forceGraph.controls();
+        const camera = this.forceGraph.camera();
+        const distance = camera.position.distanceTo(controls.target);
+        const worldPerPixel = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / this.renderDiv.clientHeight;
+
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+        const offset = right.multiplyScalar(-(currentPos.x - lastPos.x) * worldPerPixel)
+            .addScaledVector(up, -(currentPos.y - lastPos.y) * worldPerPixel);
+
+        camera.position.add(offset);
+        controls.target.add(offset);
+        controls.update();
+    }
+
+    // Ends gestures in progress, then swaps the subscriptions over to the mode's handlers
+    _subscribeModeGestures(mode) {
+        this.gestureEngine.endAll();
+        this.gestureSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.gestureSubscriptions = Object.entries(this._getModeGestureHandlers(mode))
+            .map(([gesture, handlers]) => this.gestureEngine.on(gesture, handlers));
+    }
+
+    _getGestureScreenPos(event) {
+        if (!event.point || !this.handFrame) return null;
+        const { videoParams, canvasWidth, canvasHeight } = this.handFrame;
+        return this._projectLandmarkToScreen(event.point, videoParams, canvasWidth, canvasHeight);
     }
 
-    _updateRotateMode(hand, handIndex, videoParams, canvasWidth, canvasHeight) {
-        const prevFistState = hand.isFistClosed;
-        hand.isFistClosed = this._isFist(hand.landmarks);
+    // Grows as the hand moves away from the camera: it looks smaller, and the pinch point's landmark z
+    // (relative to the wrist, negative towards the camera) rises as the fingers draw back
+    _getHandDepth(event) {
+        if (!event.palm || !event.point) return null;
+        return -Math.log(event.palm) +
+            this.INTERACTION.HAND_Z_DEPTH_WEIGHT * event.point.z * this.gestureEngine.aspectRatio / event.palm;
+    }
 
-        const fistReferenceLandmark = hand.landmarks[this.LANDMARK_INDICES.WRIST] || 
-                                     hand.landmarks[this.LANDMARK_INDICES.MIDDLE_FINGER_MCP];
-        const fistScreenPos = fistReferenceLandmark ? 
-            this._projectLandmarkToScreen(fistReferenceLandmark, videoParams, canvasWidth, canvasHeight) : null;
+    _scrubTimeline(event) {
+        const hand = this.hands[event.handIndex];
+        const screenPos = this._getGestureScreenPos(event);
+        if (!screenPos || !this.timeline.isEnabled) return;
 
-        if (!fistScreenPos) {
-            hand.isFistClosed = false;
+        if (hand.lastTimeScrubX === null) {
+            hand.lastTimeScrubX = screenPos.x;
             return;
         }
+        const deltaX = screenPos.x - hand.lastTimeScrubX;
+        if (Math.abs(deltaX) < this.INTERACTION.TIME_SCRUB_DEADZONE) return;
+        hand.lastTimeScrubX = screenPos.x;
+
+        this.timeline.pause();
+        const canvasWidth = this.handFrame.canvasWidth;
+        if (this.timeline.scrubBy(deltaX / (canvasWidth * this.INTERACTION.TIME_SCRUB_SCREEN_WIDTHS))) this._onTimelineChanged();
+        else this._updateTimelineUI();
+    }
 
-        if (hand.isFistClosed && !prevFistState) {
-            hand.lastFistScreenPos.copy(fistScreenPos);
-            if (this.isAutoRotating) {
-                this._toggleAutoRotation(false);
-            }
-        } else if (hand.isFistClosed && prevFistState) {
-            this._handleFistRotation(fistScreenPos, hand.lastFistScreenPos);
-            hand.lastFistScreenPos.copy(fistScreenPos);
-        }
+    _startGestureRotation(event) {
+        const hand = this.hands[event.handIndex];
+        hand.lastFistScreenPos.copy(this._getGestureScreenPos(event) || new THREE.Vector2());
+        hand.fistVelocity.reset();
+        this.rotationInertia = null;
+        if (this.isAutoRotating) this._toggleAutoRotation(false);
+    }
+
+    _updateGestureRotation(event) {
+        const screenPos = this._getGestureScreenPos(event);
+        if (!screenPos) return;
+        const hand = this.hands[event.handIndex];
+        this._handleFistRotation(screenPos, hand.lastFistScreenPos);
+        hand.lastFistScreenPos.copy(screenPos);
+        hand.fistVelocity.add(screenPos);
+    }
+
+    // A fist that opens while still moving leaves the graph turning
+    _endGestureRotation(event) {
+        const { x, y } = this.hands[event.handIndex].fistVelocity.velocity();
+        const velocity = new THREE.Vector2(x, y).multiplyScalar(this.INTERACTION.ROTATION_INERTIA_DAMPING);
+        this.rotationInertia = velocity.length() >= this.INTERACTION.MIN_ROTATION_INERTIA_SPEED ?
+            { velocity, lastTime: performance.now() } : null;
+    }
+
+    // The speed decays exponentially, so each frame turns by its integral over the frame, v·τ·(1 − e^(−dt/τ)).
+    // A long frame then turns no further than the inertia would in total, however slow the frame rate.
+    _updateRotationInertia(now = performance.now()) {
+        if (!this.rotationInertia) return;
+        const inertia = this.rotationInertia;
+        const elapsed = now - inertia.lastTime;
+        inertia.lastTime = now;
+
+        const decayMs = this.INTERACTION.ROTATION_INERTIA_DECAY_MS;
+        const decay = Math.exp(-elapsed / decayMs);
+        this._handleFistRotation(inertia.velocity.clone().multiplyScalar(decayMs * (1 - decay)), new THREE.Vector2());
+        inertia.velocity.multiplyScalar(decay);
+        if (inertia.velocity.length() < this.INTERACTION.MIN_ROTATION_INERTIA_SPEED) this.rotationInertia = null;
     }
 
     _handleFistRotation(currentPos, lastPos) {
@@ -422,66 +1277,81 @@ export class Game {
     _resetHandState(hand, handIndex) {
         hand.landmarks = null;
         if (hand.lineGroup) hand.lineGroup.visible = false;
-        if (hand.isPinching) this._handlePinchEnd(handIndex);
-        hand.isPinching = false;
-        hand.isFistClosed = false;
+        this.gestureEngine.releaseHand(handIndex);
+        hand.lastTimeScrubX = null;
     }
 
     _updateNodeHover(videoParams, canvasWidth, canvasHeight) {
-        if (this.interactionMode !== 'drag' || !this.forceGraph) {
-            if (this.currentlyHoveredNode) {
-                this._setNodeHoverStyle(this.currentlyHoveredNode, false);
-                this.currentlyHoveredNode = null;
-            }
+        if (!this._canDragNodes() || !this.forceGraph) {
+            this.hoveredNodes.forEach((node, handIndex) => this._setHandHover(handIndex, null));
+            this.nodeDetailCard.hide();
             return;
         }
 
-        let newHoveredNode = null;
-        let minDistanceSq = this.THRESHOLDS.HOVER_SCREEN ** 2;
-        const tempNodeScreenPos = new THREE.Vector2();
+        this.hands.forEach((hand, handIndex) => {
+            let hoveredNode = null;
+            const indexTip = !this.draggedNodes[handIndex].node && hand.landmarks?.[this.LANDMARK_INDICES.INDEX_FINGER_TIP];
+            const indexTipScreen = indexTip && this._projectLandmarkToScreen(indexTip, videoParams, canvasWidth, canvasHeight);
+            if (indexTipScreen) {
+                // Nodes faded out by a focus or path are skipped so hover stays within what is visible
+                hoveredNode = this.nodeIndex.findNearest(indexTipScreen, this.THRESHOLDS.HOVER_SCREEN,
+                    node => this._getNodeOpacity(node) >= 0.5)?.node || null;
+            }
 
-        this.hands.forEach((hand, handIdx) => {
-            if (!hand.landmarks || this.draggedNodeInfo.handIndex === handIdx) return;
+            if (!this._setHandHover(handIndex, hoveredNode) && hoveredNode &&
+                performance.now() - this.hoverStartTimes[handIndex] >= this.THRESHOLDS.HOVER_DWELL_MS) {
+                this._showNodeDetails(hoveredNode);
+            }
+        });
+    }
 
-            const indexTip = hand.landmarks[this.LANDMARK_INDICES.INDEX_FINGER_TIP];
-            if (!indexTip) return;
+    // Returns true when the hand's hovered node changed
+    _setHandHover(handIndex, node) {
+        const previous = this.hoveredNodes[handIndex];
+        if (previous === node) return false;
+        this.hoveredNodes[handIndex] = node;
+        this.hoverStartTimes[handIndex] = performance.now();
+
+        // The other hand may still be hovering the same node
+        if (previous && !this.hoveredNodes.includes(previous)) this._setNodeHoverStyle(previous, false);
+        if (node) this._setNodeHoverStyle(node, true);
+        if (node) {
+            this.currentlyHoveredNode = node;
+        } else if (this.currentlyHoveredNode === previous) {
+            this.currentlyHoveredNode = this.hoveredNodes.find(Boolean) || null;
+        }
 
-            const indexTipScreen = this._projectLandmarkToScreen(indexTip, videoParams, canvasWidth, canvasHeight);
-            if (!indexTipScreen) return;
+        // A pinch-held card stays until the pinch ends
+        if (previous && this.nodeDetailCard.node === previous && !this._isNodeDragged(previous)) {
+            this.nodeDetailCard.hide();
+        }
+        return true;
+    }
 
-            this.forceGraph.graphData().nodes.forEach(node => {
-                if (typeof node.x !== 'number' || typeof node.y !== 'number' || typeof node.z !== 'number') return;
+    _isNodeDragged(node) {
+        return this.draggedNodes.some(drag => drag.node === node || drag.followers.some(follower => follower.node === node));
+    }
 
-                const nodeScreenPos = this._worldToScreen(node, tempNodeScreenPos);
-                if (!nodeScreenPos) return;
+    _showNodeDetails(node) {
+        if (this.nodeDetailCard.node === node || !this.forceGraph) return;
 
-                const distanceSq = indexTipScreen.distanceToSquared(nodeScreenPos);
-                if (distanceSq < minDistanceSq) {
-                    minDistanceSq = distanceSq;
-                    newHoveredNode = node;
-                }
-            });
-        });
+        const graphData = this.forceGraph.graphData();
+        const degree = graphData.links.filter(link =>
+            linkEndpointId(link.source) === node.id || linkEndpointId(link.target) === node.id
+        ).length;
+        this.nodeDetailCard.show(node, getNeighbours(graphData, node.id), degree);
+        this._updateNodeDetailCardPosition();
+    }
 
-        if (this.currentlyHoveredNode !== newHoveredNode) {
-            if (this.currentlyHoveredNode) {
-                this._setNodeHoverStyle(this.currentlyHoveredNode, false);
-            }
-            if (newHoveredNode) {
-                this._setNodeHoverStyle(newHoveredNode, true);
-            }
-            this.currentlyHoveredNode = newHoveredNode;
-        }
+    _updateNodeDetailCardPosition() {
+        const node = this.nodeDetailCard.node;
+        if (!node || typeof node.x !== 'number') return;
+        this.nodeDetailCard.setPosition(this._worldToScreen(node));
     }
 
     _handleGlobalInteractionLogic(results, videoParams, canvasWidth, canvasHeight) {
-        if (this.interactionMode === 'zoom') {
+        if (this.interactionMode === 'zoom' || this.inferredActions.every(action => action === 'zoom')) {
             this._handleZoomMode(results);
-            this.hands.forEach((hand, index) => {
-                if (hand.isPinching) this._handlePinchEnd(index);
-                hand.isPinching = false;
-                hand.isFistClosed = false;
-            });
         }
     }
 
@@ -638,7 +1508,7 @@ export class Game {
 
         // Update renderers
         this.renderer.setSize(width, height);
-        this.css2DRenderer?.setSize(width, height);
+        this.nodeIndex.markDirty();
     }
 
     _updateHandLines(handIndex, landmarks, videoParams, canvasWidth, canvasHeight) {
@@ -735,6 +1605,7 @@ export class Game {
         
         // Update instruction text
         this._updateInstructionText();
+        this._updateInferredActionUI();
     }
     
     _updateInstructionText() {
@@ -744,136 +1615,220 @@ export class Game {
     }
 
     _handleInteractionModeChange(newMode) {
-        if (!['drag', 'rotate', 'zoom'].includes(newMode) || this.interactionMode === newMode) return;
+        if (!this.INTERACTION_MODES.includes(newMode) || this.interactionMode === newMode) return;
 
         console.log(`Interaction mode changed to: ${newMode}`);
+        const previousMode = this.interactionMode;
+        this.history.record({
+            label: `${newMode} mode`,
+            undo: () => this._handleInteractionModeChange(previousMode),
+            redo: () => this._handleInteractionModeChange(newMode)
+        });
+        // Gestures in progress end while the old mode's handlers are still subscribed
+        this._subscribeModeGestures(newMode);
+        this.rotationInertia = null;
         this.interactionMode = newMode;
+        this.inferredActions = [null, null];
         this._updateInteractionModeUI();
 
-        // Clean up previous mode state
-        if (newMode !== 'drag' && this.draggedNodeInfo.node) {
-            this._handlePinchEnd(this.draggedNodeInfo.handIndex);
-        }
 
         if (this.isAutoRotating) {
             this._toggleAutoRotation(false);
         }
 
-        // Reset gesture states
-        this.hands.forEach((hand, index) => {
-            if (newMode !== 'rotate') hand.isFistClosed = false;
-            if (newMode !== 'drag') {
-                if (hand.isPinching) this._handlePinchEnd(index);
-                hand.isPinching = false;
-            }
-            if (newMode !== 'zoom') {
-                this.initialZoomWristDistance = null;
-                this.initialZoomCameraDistance = null;
-            }
-        });
+        if (newMode !== 'zoom') {
+            this.initialZoomWristDistance = null;
+            this.initialZoomCameraDistance = null;
+        }
     }
 
-    _handlePinchStart(handIndex, pinchScreenPos) {
-        if (this.interactionMode !== 'drag' || !this.forceGraph || this.draggedNodeInfo.node) return;
+    _handlePinchStart(handIndex, pinchScreenPos, handDepth = null) {
+        const drag = this.draggedNodes[handIndex];
+        if (!this._canDragNodes() || !this.forceGraph || !pinchScreenPos || !drag || drag.node) return;
 
+        // A node held by the other hand stays there
         const graphData = this.forceGraph.graphData();
-        let closestNode = null;
-        let minDistanceSq = Infinity;
-        const tempNodeScreenPos = new THREE.Vector2();
-
-        graphData.nodes.forEach(node => {
-            if (typeof node.x !== 'number' || typeof node.y !== 'number' || typeof node.z !== 'number') return;
-
-            const nodeScreenPos = this._worldToScreen(node, tempNodeScreenPos);
-            if (!nodeScreenPos) return;
-
-            const distanceSq = pinchScreenPos.distanceToSquared(nodeScreenPos);
-            if (distanceSq < minDistanceSq && distanceSq < this.THRESHOLDS.NODE_PICK_SCREEN ** 2) {
-                minDistanceSq = distanceSq;
-                closestNode = node;
-            }
-        });
+        const closestNode = this.nodeIndex.findNearest(pinchScreenPos, this.THRESHOLDS.NODE_PICK_SCREEN,
+            node => !this._isNodeDragged(node) && this.timeline.getOpacity(node) >= 0.5)?.node || null;
 
         if (closestNode) {
-            this.draggedNodeInfo.handIndex = handIndex;
-            this.draggedNodeInfo.node = closestNode;
+            // Holding a node stops the graph coasting so it does not turn under the hand
+            this.rotationInertia = null;
+            // Only the grabbed node leaves a frozen layout; the rest stays where it was restored
+            this.frozenNodes.delete(closestNode);
+            drag.node = closestNode;
+            this.lastInteractedNode = closestNode;
+            if (this.pathQuery.isPicking) this._addPathPick(closestNode);
+            if (this.searchQuery.candidates.includes(closestNode)) this._selectSearchResult(closestNode);
             
             const nodeScreenPos = this._worldToScreen(closestNode, new THREE.Vector2());
-            this.draggedNodeInfo.screenOffset = nodeScreenPos ? 
+            drag.screenOffset = nodeScreenPos ? 
                 nodeScreenPos.clone().sub(pinchScreenPos) : 
                 new THREE.Vector2();
             
-            this.draggedNodeInfo.initialNodeWorldPos.set(closestNode.x, closestNode.y, closestNode.z);
+            drag.initialDepth = this._getViewDepth(closestNode);
+            drag.handDepthStart = handDepth;
+            drag.velocity.reset();
+            drag.velocity.add(closestNode);
+            drag.pinchStartScreenPos.copy(pinchScreenPos);
+            drag.pinchStartTime = performance.now();
+            drag.hasMoved = false;
+            
+            // The rest of the selection keeps its place relative to the held node
+            if (this.selection.has(closestNode)) {
+                drag.followers = [...this.selection]
+                    .filter(node => node !== closestNode && !this._isNodeDragged(node) && Number.isFinite(node.x))
+                    .map(node => ({
+                        node,
+                        offset: new THREE.Vector3(node.x - closestNode.x, node.y - closestNode.y, (node.z || 0) - (closestNode.z || 0))
+                    }));
+            }
+            
+            console.log(`Hand ${handIndex} picked up node: ${closestNode.id}` +
+                (drag.followers.length ? ` with ${drag.followers.length} selected` : ''));
             
-            console.log(`Hand ${handIndex} picked up node: ${closestNode.id}`);
+            drag.startPositions = this._captureNodePositions([closestNode, ...drag.followers.map(({ node }) => node)]);
+            drag.followers.forEach(({ node }) => this.frozenNodes.delete(node));
             
             // Fix node position
-            Object.assign(closestNode, { fx: closestNode.x, fy: closestNode.y, fz: closestNode.z });
+            [closestNode, ...drag.followers.map(({ node }) => node)].forEach(node => {
+                Object.assign(node, { fx: node.x, fy: node.y, fz: node.z });
+            });
             this.forceGraph.graphData().nodes = [...graphData.nodes];
+        } else if (this.focus.node) {
+            this.focus.emptyPinch = { handIndex, time: performance.now() };
         }
     }
 
     _handlePinchEnd(handIndex) {
-        if (this.interactionMode === 'drag' && 
-            this.draggedNodeInfo.handIndex === handIndex && 
-            this.draggedNodeInfo.node) {
+        // A quick tap on empty space shrinks the focus by one hop
+        const { emptyPinch } = this.focus;
+        if (emptyPinch?.handIndex === handIndex) {
+            this.focus.emptyPinch = null;
+            if (performance.now() - emptyPinch.time < this.THRESHOLDS.PINCH_HOLD_MS) this._changeFocusHops(-1);
+        }
+
+        const drag = this.draggedNodes[handIndex];
+        if (this._canDragNodes() && drag?.node) {
             
-            console.log(`Hand ${handIndex} released node: ${this.draggedNodeInfo.node.id}`);
+            console.log(`Hand ${handIndex} released node: ${drag.node.id}`);
             
-            // Unfix the node
-            const { node } = this.draggedNodeInfo;
-            delete node.fx;
-            delete node.fy;
-            delete node.fz;
+            // Unfix the node unless it has been pinned where it was dropped
+            const { node } = drag;
+            if (this.nodeDetailCard.node === node) this.nodeDetailCard.hide();
+            const heldNodes = [node, ...drag.followers.map(follower => follower.node)];
+            const flingVelocity = this._getFlingVelocity(drag);
+            heldNodes.forEach(held => {
+                if (held.pinned) return;
+                this._releaseNodePosition(held);
+                // Nodes the layout still holds in place are not thrown
+                if (held.fx === undefined) Object.assign(held, { vx: flingVelocity.x, vy: flingVelocity.y, vz: flingVelocity.z });
+            });
+            if (drag.hasMoved) {
+                const before = drag.startPositions;
+                const after = this._captureNodePositions(heldNodes);
+                this.history.record({
+                    label: heldNodes.length === 1 ? `move ${getNodeLabel(node)}` : `move ${heldNodes.length} nodes`,
+                    undo: () => this._restoreNodePositions(before),
+                    redo: () => this._restoreNodePositions(after)
+                });
+            }
+            drag.followers = [];
+            drag.startPositions = [];
             
             this.forceGraph.graphData().nodes = [...this.forceGraph.graphData().nodes];
             
             // Reheat simulation
             this.forceGraph.d3ReheatSimulation?.() || this.forceGraph.resumeAnimation?.();
             
-            Object.assign(this.draggedNodeInfo, {
-                handIndex: -1,
-                node: null
-            });
+            // While focused, a quick tap expands around the focused node or moves the focus to the tapped one
+            const isTap = !drag.hasMoved &&
+                performance.now() - drag.pinchStartTime < this.THRESHOLDS.PINCH_HOLD_MS;
+            if (this.focus.node && isTap) {
+                if (this.focus.nodes.includes(node)) {
+                    this._changeFocusHops(1);
+                } else {
+                    this._setFocus(node, this.focus.hops);
+                }
+            }
+            
+            drag.node = null;
         }
     }
 
-    _screenToWorld(screenPos, targetZ, targetVector = new THREE.Vector3()) {
+    // Distance of a point in front of the camera, measured along the view direction
+    _getViewDepth(worldPos) {
+        const graphCamera = this.forceGraph.camera();
+        const offset = new THREE.Vector3(worldPos.x, worldPos.y, worldPos.z || 0).sub(graphCamera.position);
+        return offset.dot(graphCamera.getWorldDirection(new THREE.Vector3()));
+    }
+
+    // The held node's recent velocity converted to the simulation's units per tick, damped and capped.
+    // The simulation's own velocity decay then slows the thrown node down.
+    _getFlingVelocity(drag) {
+        const { FLING_DAMPING, MIN_FLING_SPEED, MAX_FLING_SPEED, SIMULATION_TICK_MS } = this.INTERACTION;
+        const { x, y, z } = drag.velocity.velocity();
+        const velocity = new THREE.Vector3(x, y, z).multiplyScalar(SIMULATION_TICK_MS * FLING_DAMPING).clampLength(0, MAX_FLING_SPEED);
+        drag.velocity.reset();
+        return velocity.length() < MIN_FLING_SPEED ? velocity.set(0, 0, 0) : velocity;
+    }
+
+    // The point under screenPos on the camera-facing plane `depth` in front of the camera
+    _screenToWorld(screenPos, depth, targetVector = new THREE.Vector3()) {
         if (!this.forceGraph?.camera() || !this.renderDiv) return null;
 
         const graphCamera = this.forceGraph.camera();
         const ndcX = screenPos.x / this.renderDiv.clientWidth * 2;
         const ndcY = screenPos.y / this.renderDiv.clientHeight * 2;
 
-        targetVector.set(ndcX, ndcY, 0.5);
-        targetVector.unproject(graphCamera);
+        const direction = targetVector.set(ndcX, ndcY, 0.5).unproject(graphCamera).sub(graphCamera.position).normalize();
+        const alongView = direction.dot(graphCamera.getWorldDirection(new THREE.Vector3()));
+        if (alongView <= 0) return null;
 
-        // Create ray and intersect with plane at targetZ
-        const ray = new THREE.Ray();
-        ray.origin.copy(graphCamera.position);
-        ray.direction.copy(targetVector).sub(graphCamera.position).normalize();
+        return direction.multiplyScalar(depth / alongView).add(graphCamera.position);
+    }
 
-        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -targetZ);
-        const intersectionPoint = new THREE.Vector3();
+    // Moving the hand towards or away from the camera scales the node's distance from it
+    _getDragDepth(drag, handDepth) {
+        if (handDepth === null || drag.handDepthStart === null) return drag.initialDepth;
 
-        if (ray.intersectPlane(plane, intersectionPoint)) {
-            targetVector.copy(intersectionPoint);
-        } else {
-            targetVector.z = targetZ;
-        }
-
-        return targetVector;
+        const { DRAG_DEPTH_GAIN, DRAG_DEPTH_DEADZONE, MIN_DRAG_DEPTH, MAX_CAMERA_DISTANCE_GRAPH } = this.INTERACTION;
+        const change = handDepth - drag.handDepthStart;
+        const beyondDeadzone = Math.sign(change) * Math.max(Math.abs(change) - DRAG_DEPTH_DEADZONE, 0);
+        // The limits widen to include the starting depth, so grabbing a node outside them never makes it jump
+        return THREE.MathUtils.clamp(drag.initialDepth * Math.exp(DRAG_DEPTH_GAIN * beyondDeadzone),
+            Math.min(MIN_DRAG_DEPTH, drag.initialDepth), Math.max(MAX_CAMERA_DISTANCE_GRAPH * 2, drag.initialDepth));
     }
 
-    _handlePinchMove(handIndex, currentPinchScreenPos) {
-        if (this.interactionMode !== 'drag' || 
+    _handlePinchMove(handIndex, currentPinchScreenPos, handDepth = null) {
+        if (!this._canDragNodes() || 
             !this.forceGraph || 
-            !this.draggedNodeInfo.node || 
-            this.draggedNodeInfo.handIndex !== handIndex) return;
+            !currentPinchScreenPos || 
+            !this.draggedNodes[handIndex]?.node) return;
+
+        const drag = this.draggedNodes[handIndex];
+        const node = drag.node;
+
+        // Holding the pinch still opens the detail card; moving away, or clearly in depth, marks it as a drag
+        const depth = this._getDragDepth(drag, handDepth);
+        if (!drag.hasMoved) {
+            const movedDistance = currentPinchScreenPos.distanceTo(drag.pinchStartScreenPos);
+            const movedDepth = Math.abs(depth - drag.initialDepth);
+            if (movedDistance > this.THRESHOLDS.PINCH_HOLD_MOVE_SCREEN ||
+                movedDepth > drag.initialDepth * this.THRESHOLDS.PINCH_HOLD_MOVE_DEPTH) {
+                drag.hasMoved = true;
+            } else if (performance.now() - drag.pinchStartTime >= this.THRESHOLDS.PINCH_HOLD_MS) {
+                // Holding a super-node explodes it back into its members
+                if (isSuperNode(node)) {
+                    this._setGroupCollapsed(node.group, false);
+                    return;
+                }
+                this._showNodeDetails(node);
+            }
+        }
 
-        const node = this.draggedNodeInfo.node;
-        const targetScreenPos = currentPinchScreenPos.clone().add(this.draggedNodeInfo.screenOffset);
-        const newWorldPos = this._screenToWorld(targetScreenPos, this.draggedNodeInfo.initialNodeWorldPos.z);
+        const targetScreenPos = currentPinchScreenPos.clone().add(drag.screenOffset);
+        const newWorldPos = this._screenToWorld(targetScreenPos, depth);
 
         if (newWorldPos) {
             Object.assign(node, {
@@ -884,10 +1839,1070 @@ export class Game {
                 y: newWorldPos.y,
                 z: newWorldPos.z
             });
+            drag.velocity.add(newWorldPos);
+            drag.followers.forEach(({ node: follower, offset }) => {
+                const position = newWorldPos.clone().add(offset);
+                Object.assign(follower, {
+                    fx: position.x,
+                    fy: position.y,
+                    fz: position.z,
+                    x: position.x,
+                    y: position.y,
+                    z: position.z
+                });
+            });
 
             this.forceGraph.graphData().nodes = [...this.forceGraph.graphData().nodes];
             this.forceGraph.d3ReheatSimulation?.();
+            this.nodeIndex.markDirty();
+        }
+    }
+
+    // Where nodes are and whether they are held in place, for undo
+    _captureNodePositions(nodes) {
+        return nodes.map(node => ({
+            node, frozen: this.frozenNodes.has(node), x: node.x, y: node.y, z: node.z, fx: node.fx, fy: node.fy, fz: node.fz
+        }));
+    }
+
+    _restoreNodePositions(positions) {
+        positions.forEach(({ node, frozen, x, y, z, ...fixed }) => {
+            if (this._isNodeDragged(node)) return;
+            Object.assign(node, { x, y, z, vx: 0, vy: 0, vz: 0 });
+            Object.entries(fixed).forEach(([key, value]) => {
+                if (value === undefined) delete node[key];
+                else node[key] = value;
+            });
+            if (frozen) this.frozenNodes.add(node);
+            else this.frozenNodes.delete(node);
+        });
+        this.forceGraph?.d3ReheatSimulation?.();
+        this.nodeIndex.markDirty();
+    }
+
+    _setNodePinned(node, pinned) {
+        if (!node) return;
+        node.pinned = pinned;
+        if (pinned) {
+            Object.assign(node, { fx: node.x, fy: node.y, fz: node.z });
+        } else if (!this._isNodeDragged(node)) {
+            this.frozenNodes.delete(node);
+            this._releaseNodePosition(node);
+            this.forceGraph?.d3ReheatSimulation?.();
+        }
+        console.log(`Node ${node.id} ${pinned ? 'pinned' : 'unpinned'}`);
+    }
+
+    // Hands a node back to the simulation, unless the current layout places every node itself
+    _releaseNodePosition(node) {
+        if (STATIC_LAYOUTS.includes(this.layoutMode)) return;
+        delete node.fx;
+        delete node.fy;
+        delete node.fz;
+        if (this.layoutMode === 'planar') node.fz = 0;
+    }
+
+    _setLayout(name) {
+        if (!LAYOUTS.includes(name) || !this.forceGraph || !this.graphData) return;
+
+        const previous = this.layoutMode;
+        this.layoutMode = name;
+        this._setLayoutFrozen(false);
+        this._updateLayoutUI();
+
+        if (name === 'force') {
+            this.layoutTransition = null;
+            this.forceGraph.graphData().nodes.forEach(node => {
+                if (node.pinned || this._isNodeDragged(node)) return;
+                this._releaseNodePosition(node);
+                // A flattened graph needs a nudge off the plane to grow back into 3D
+                if (previous === 'planar') node.z = (Math.random() - 0.5) * 10;
+            });
+            this.forceGraph.d3ReheatSimulation();
+        } else {
+            this._startLayoutTransition({ reframe: true });
+        }
+
+        if (FLAT_LAYOUTS.includes(name)) {
+            // Face the plane the layout lies in
+            const distance = this.forceGraph.camera().position.length();
+            this.forceGraph.cameraPosition({ x: 0, y: 0, z: distance }, { x: 0, y: 0, z: 0 }, this.INTERACTION.LAYOUT_TRANSITION_MS);
+        }
+
+        console.log(`Layout: ${name}`);
+        this._showSpeechBubbleStatus(`${name.charAt(0).toUpperCase() + name.slice(1)} layout`);
+    }
+
+    // Re-runs the current layout after the set of shown nodes changed. The camera stays put: patches and
+    // filter changes arrive often, and reframing each time would jump the view and fill the undo history.
+    _reapplyLayout() {
+        if (this.layoutMode !== 'force') this._startLayoutTransition();
+    }
+
+    // Static layouts tween every node to a fixed target; planar only tweens depth to zero.
+    // reframe fits the camera to the result once the tween ends, for layouts the user picked.
+    _startLayoutTransition({ reframe = false } = {}) {
+        const view = this.forceGraph.graphData();
+        const focusNode = this._getLayoutFocusNode();
+        const targets = this.layoutMode === 'planar' ?
+            new Map(view.nodes.map(node => [node.id, { z: 0 }])) :
+            computeLayout(this.layoutMode, view, { focusId: focusNode?.id });
+        if (!targets) return;
+
+        this.layoutTransition = {
+            start: performance.now(),
+            reframe,
+            nodes: view.nodes
+                .filter(node => targets.has(node.id) && !this._isNodeDragged(node))
+                .map(node => {
+                    const to = targets.get(node.id);
+                    const from = {};
+                    Object.keys(to).forEach(axis => { from[axis] = Number.isFinite(node[axis]) ? node[axis] : 0; });
+                    return { node, from, to };
+                })
+        };
+    }
+
+    // Radial layouts centre on the focused, hovered or last touched node, else the best connected one
+    _getLayoutFocusNode() {
+        const nodes = this.forceGraph.graphData().nodes;
+        const candidate = [this.focus.node, this.currentlyHoveredNode, this.lastInteractedNode].find(node => node && nodes.includes(node));
+        if (candidate) return candidate;
+
+        const degrees = new Map();
+        this.forceGraph.graphData().links.forEach(link => {
+            [linkEndpointId(link.source), linkEndpointId(link.target)].forEach(id => degrees.set(id, (degrees.get(id) || 0) + 1));
+        });
+        return nodes.reduce((best, node) => (degrees.get(node.id) || 0) > (degrees.get(best?.id) || 0) ? node : best, nodes[0]);
+    }
+
+    _updateLayoutTransition(now = performance.now()) {
+        const transition = this.layoutTransition;
+        if (!transition || !this.forceGraph) return;
+
+        const progress = Math.min((now - transition.start) / this.INTERACTION.LAYOUT_TRANSITION_MS, 1);
+        const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
+        transition.nodes.forEach(({ node, from, to }) => {
+            if (this._isNodeDragged(node)) return;
+            Object.keys(to).forEach(axis => {
+                const value = from[axis] + (to[axis] - from[axis]) * eased;
+                node[axis] = value;
+                node[`f${axis}`] = value;
+            });
+        });
+        // Keep the engine ticking so the scene follows the fixed positions
+        this.forceGraph.d3ReheatSimulation();
+        this.nodeIndex.markDirty();
+
+        if (progress >= 1) {
+            this.layoutTransition = null;
+            if (transition.reframe) {
+                this._zoomToFit();
+            }
+        }
+    }
+
+    // A camera tween would fight a rotation still coasting from a released fist, so that stops first
+    _zoomToFit(nodeFilter) {
+        this.rotationInertia = null;
+        this.forceGraph.zoomToFit(this.INTERACTION.CAMERA_TRANSITION_MS, this.GRAPH_STYLE.FRAME_PADDING, nodeFilter);
+    }
+
+    _updateLayoutUI() {
+        if (this.layoutSelect) this.layoutSelect.value = this.layoutMode;
+    }
+
+    // A frozen layout holds every free node in place, so restored positions show without warm-up jitter.
+    // The simulation keeps running for nodes freed one at a time; the scene reads positions every frame
+    // whether or not it ticks, so nothing needs reheating to show them.
+    _setLayoutFrozen(frozen) {
+        if (!this.forceGraph) return;
+        if (frozen) {
+            this.forceGraph.graphData().nodes.forEach(node => {
+                if (node.fx !== undefined || this._isNodeDragged(node)) return;
+                Object.assign(node, { fx: node.x, fy: node.y, fz: node.z, vx: 0, vy: 0, vz: 0 });
+                this.frozenNodes.add(node);
+            });
+            return;
+        }
+        if (!this.frozenNodes.size) return;
+        this.frozenNodes.forEach(node => {
+            if (!node.pinned && !this._isNodeDragged(node)) this._releaseNodePosition(node);
+        });
+        this.frozenNodes.clear();
+        this.forceGraph.d3ReheatSimulation?.();
+    }
+
+    _startCalibration(name) {
+        this.calibrationUser = normalizeProfileName(name) || this.calibrationUser || 'default';
+        this.gestureEngine.endAll();
+        this.calibrationWizard = new CalibrationWizard();
+        this.calibrationOverlay?.classList.remove('hidden');
+        this._updateCalibrationUI();
+        console.log(`Calibrating gestures for "${this.calibrationUser}"`);
+    }
+
+    // Feeds the first visible hand to the wizard; a missing hand pauses the current step
+    _updateCalibration() {
+        const hand = this.hands.find(candidate => candidate.landmarks);
+        this.calibrationWizard.addMeasurement(measureHand(hand?.landmarks, this.gestureEngine.aspectRatio));
+        if (this.calibrationWizard.isComplete) this._finishCalibration();
+        else this._updateCalibrationUI();
+    }
+
+    _finishCalibration() {
+        const { thresholds, error } = this.calibrationWizard.result();
+        this._closeCalibration();
+        if (error) {
+            this._showSpeechBubbleStatus(`Calibration failed: ${error}. Say "calibrate" to try again`, 4000);
+            return;
+        }
+
+        try {
+            this.calibrationStore.save(createProfile(this.calibrationUser, thresholds));
+            this.calibrationStore.activeName = this.calibrationUser;
+        } catch (error) {
+            console.error("Error saving calibration:", error);
+        }
+        this.gestureEngine.setThresholds(thresholds);
+        console.log(`Gesture calibration for "${this.calibrationUser}":`, thresholds);
+        this._showSpeechBubbleStatus(`Gestures calibrated for ${this.calibrationUser}`);
+    }
+
+    _cancelCalibration() {
+        if (!this.calibrationWizard) return;
+        this._closeCalibration();
+        this._showSpeechBubbleStatus('Calibration cancelled');
+    }
+
+    _closeCalibration() {
+        this.calibrationWizard = null;
+        this.calibrationOverlay?.classList.add('hidden');
+    }
+
+    _useCalibrationProfile(name) {
+        const user = normalizeProfileName(name);
+        const profile = this.calibrationStore.load(user);
+        if (!profile) {
+            this._showSpeechBubbleStatus(`No calibration for ${user}. Say "calibrate for ${user}"`, 3000);
+            return;
+        }
+        this.calibrationUser = user;
+        this.calibrationStore.activeName = user;
+        this.gestureEngine.setThresholds(profile.thresholds);
+        this._showSpeechBubbleStatus(`Using ${user}'s gesture calibration`);
+    }
+
+    _resetCalibration() {
+        this.calibrationUser = null;
+        this.calibrationStore.activeName = null;
+        this.gestureEngine.setThresholds();
+        this._showSpeechBubbleStatus('Default gesture thresholds');
+    }
+
+    _listCalibrationProfiles() {
+        const names = this.calibrationStore.list();
+        this._showSpeechBubbleStatus(names.length ? `Calibrations: ${names.join(', ')}` : 'No saved calibrations', 4000);
+    }
+
+    // Deleting the profile in use goes back to the default thresholds
+    _deleteCalibrationProfile(name) {
+        const user = normalizeProfileName(name);
+        if (!this.calibrationStore.load(user)) {
+            this._showSpeechBubbleStatus(`No calibration for ${user}`, 2500);
+            return;
+        }
+        this.calibrationStore.remove(user);
+        if (this.calibrationUser === user) {
+            this.calibrationUser = null;
+            this.gestureEngine.setThresholds();
+        }
+        this._showSpeechBubbleStatus(`Deleted ${user}'s gesture calibration`);
+    }
+
+    _updateCalibrationUI() {
+        const wizard = this.calibrationWizard;
+        if (!wizard || !this.calibrationOverlay) return;
+        this.calibrationStepLabel.textContent =
+            `Calibrating for ${this.calibrationUser}: step ${wizard.stepIndex + 1} of ${CALIBRATION_STEPS.length}`;
+        this.calibrationPrompt.textContent = wizard.currentStep.prompt;
+        this.calibrationProgressBar.style.width = `${Math.round(wizard.stepProgress * 100)}%`;
+        this.calibrationProgressBar.classList.toggle('sampling', wizard.isSampling);
+    }
+
+    _saveLayout(name = 'default', download = false) {
+        if (!this.forceGraph || !this.graphData) return;
+
+        const layout = captureLayout(
+            name,
+            this.forceGraph.graphData().nodes,
+            this.forceGraph.camera(),
+            this.forceGraph.controls().target
+        );
+        try {
+            this.layoutStore.save(layout);
+        } catch (error) {
+            console.error("Error saving layout:", error);
+            this._showSpeechBubbleStatus(`Could not save layout "${name}"`);
+            return;
+        }
+        if (download) this.layoutStore.download(layout);
+
+        console.log(`Saved layout "${name}" (${layout.nodes.length} nodes)`);
+        this._showSpeechBubbleStatus(download ? `Layout "${name}" exported` : `Layout "${name}" saved`);
+    }
+
+    _loadLayout(name = 'default') {
+        const layout = this.layoutStore.load(name);
+        if (!layout) {
+            this._showSpeechBubbleStatus(`No saved layout "${name}"`);
+            return;
+        }
+        this._restoreLayout(layout);
+    }
+
+    _restoreLayout(layout) {
+        if (!this.forceGraph || !this.graphData) return;
+
+        this.draggedNodes.forEach(drag => {
+            if (drag.node) this._handlePinchEnd(drag.handIndex);
+        });
+        // Saved positions replace whichever layout mode was active
+        this._setLayoutFrozen(false);
+        this.layoutMode = 'force';
+        this.layoutTransition = null;
+        this._updateLayoutUI();
+
+        const nodesById = new Map(this.forceGraph.graphData().nodes.map(node => [node.id, node]));
+        let restoredCount = 0;
+        layout.nodes.forEach(saved => {
+            const node = nodesById.get(saved.id);
+            if (!node) return;
+            Object.assign(node, { x: saved.x, y: saved.y, z: saved.z, vx: 0, vy: 0, vz: 0 });
+            node.pinned = !!saved.pinned;
+            // Unpinned nodes are frozen at the saved position too, until they are grabbed
+            Object.assign(node, { fx: saved.x, fy: saved.y, fz: saved.z });
+            if (!node.pinned) this.frozenNodes.add(node);
+            restoredCount++;
+        });
+
+        this._setLayoutFrozen(true);
+
+        if (layout.camera) {
+            this.forceGraph.cameraPosition(layout.camera.position, layout.camera.target, this.INTERACTION.CAMERA_TRANSITION_MS);
+        }
+
+        console.log(`Restored layout "${layout.name}" (${restoredCount}/${layout.nodes.length} nodes matched)`);
+        this._showSpeechBubbleStatus(`Layout "${layout.name}" restored`);
+    }
+
+    // Group colours are assigned once and stored on the node, like nodeAutoColorBy does
+    _assignNodeColors(nodes) {
+        nodes.forEach(node => {
+            if (!node.color) node.color = this.groupColorScale(node.group);
+        });
+    }
+
+    _colorWithOpacity(color, opacity) {
+        if (opacity >= 1) return color;
+        const { r, g, b } = new THREE.Color(color);
+        return `rgba(${Math.round(r * 255)},${Math.round(g * 255)},${Math.round(b * 255)},${opacity})`;
+    }
+
+    _getNodeColor(node) {
+        const color = this.highlighter.getNodeColor(node) || this._getNodeBaseColor(node);
+        return this._colorWithOpacity(color, this._getNodeOpacity(node));
+    }
+
+    // Highlight fading combined with the node's presence at the current time
+    _getNodeOpacity(node) {
+        return this.highlighter.getNodeOpacity(node) * this.timeline.getOpacity(node);
+    }
+
+    // A link shows only while it and both its endpoints exist
+    _getLinkOpacity(link) {
+        const endpointOpacity = [link.source, link.target]
+            .map(end => typeof end === 'object' ? this.timeline.getOpacity(end) : 1);
+        return this.highlighter.getLinkOpacity(link) * this.timeline.getOpacity(link) * Math.min(...endpointOpacity);
+    }
+
+    _getNodeBaseColor(node) {
+        const metric = this.nodeMetrics.color;
+        if (metric === 'group') return node.color || this.groupColorScale(node.group);
+
+        const value = this._getMetricValues(metric).values.get(node.id);
+        if (metric === 'community') return this.communityColorScale(value);
+        return '#' + new THREE.Color(this.GRAPH_STYLE.METRIC_LOW_COLOR)
+            .lerp(new THREE.Color(this.GRAPH_STYLE.METRIC_HIGH_COLOR), this._getNormalizedMetric(metric, node))
+            .getHexString();
+    }
+
+    _getNodeVal(node) {
+        // Super-nodes grow with their member count
+        if (isSuperNode(node)) return node.memberCount;
+        if (!this.nodeMetrics.size) return 1;
+        return 1 + (this.GRAPH_STYLE.MAX_NODE_VAL - 1) * this._getNormalizedMetric(this.nodeMetrics.size, node);
+    }
+
+    _getNormalizedMetric(metric, node) {
+        const { values, min, max } = this._getMetricValues(metric);
+        const value = values.get(node.id);
+        if (value === undefined || max === min) return 0;
+        return (value - min) / (max - min);
+    }
+
+    // Metrics are computed over the graph currently shown and cached until it changes
+    _getMetricValues(metric) {
+        if (!this.metricCache.has(metric)) {
+            const graphData = this.forceGraph?.graphData() || { nodes: [], links: [] };
+            const values = computeMetric(graphData, metric);
+            // A reduce rather than Math.min(...spread), which overflows the call stack on large graphs
+            const range = Array.from(values.values()).filter(Number.isFinite).reduce(
+                ({ min, max }, value) => ({ min: Math.min(min, value), max: Math.max(max, value) }),
+                { min: Infinity, max: -Infinity }
+            );
+            this.metricCache.set(metric, {
+                values,
+                min: Number.isFinite(range.min) ? range.min : 0,
+                max: Number.isFinite(range.max) ? range.max : 0
+            });
         }
+        return this.metricCache.get(metric);
+    }
+
+    _invalidateMetrics() {
+        this.metricCache.clear();
+        this.linkWeightScale = null;
+        this.communityColorScale = createColorScale();
+        if (this.nodeMetrics.size || this.nodeMetrics.color !== 'group' || LINK_ENCODINGS[this.linkEncoding].weight) {
+            this.forceGraph?.nodeVal(this.forceGraph.nodeVal());
+            this._refreshGraphStyles();
+        }
+        this._updateMetricLegend();
+    }
+
+    _setNodeMetric(channel, metric) {
+        if (metric && !METRICS.includes(metric)) return;
+        if (channel === 'size' && isCategoricalMetric(metric)) return;
+
+        this.nodeMetrics[channel] = metric || (channel === 'color' ? 'group' : null);
+        if (this.sizeMetricSelect) this.sizeMetricSelect.value = this.nodeMetrics.size || '';
+        if (this.colorMetricSelect) this.colorMetricSelect.value = this.nodeMetrics.color;
+
+        if (channel === 'size') {
+            this.forceGraph?.nodeVal(this.forceGraph.nodeVal());
+        } else {
+            this._refreshGraphStyles();
+        }
+        this._updateMetricLegend();
+
+        const description = this.nodeMetrics[channel] || 'uniform';
+        console.log(`Node ${channel} by ${description}`);
+        this._showSpeechBubbleStatus(`${channel === 'size' ? 'Size' : 'Colour'} by ${description}`);
+    }
+
+    _updateMetricLegend() {
+        const colorMetric = this.nodeMetrics.color;
+        const sizeMetric = this.nodeMetrics.size;
+        const nodes = this.forceGraph?.graphData().nodes || [];
+        const formatValue = value => Number.isInteger(value) ? String(value) : value.toFixed(3);
+
+        if (isCategoricalMetric(colorMetric)) {
+            const values = colorMetric === 'group' ?
+                nodes.map(node => node.group) :
+                Array.from(this._getMetricValues(colorMetric).values.values());
+            const counts = new Map();
+            values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            const items = Array.from(counts.keys())
+                .sort((a, b) => (typeof a === 'number' && typeof b === 'number') ? a - b : String(a).localeCompare(String(b)))
+                .map(value => {
+                    const sample = colorMetric === 'group' ? nodes.find(node => node.group === value) : null;
+                    return {
+                        label: `${colorMetric === 'group' ? 'Group' : 'Community'} ${value} (${counts.get(value)})`,
+                        color: sample ? this._getNodeBaseColor(sample) : this.communityColorScale(value)
+                    };
+                });
+            this.graphLegend.setSection('nodeColor', `Colour: ${colorMetric}`, items);
+        } else {
+            const { min, max } = this._getMetricValues(colorMetric);
+            this.graphLegend.setSection('nodeColor', `Colour: ${colorMetric}`, [{
+                label: `${formatValue(min)} – ${formatValue(max)}`,
+                gradient: [this.GRAPH_STYLE.METRIC_LOW_COLOR, this.GRAPH_STYLE.METRIC_HIGH_COLOR]
+            }]);
+        }
+
+        if (sizeMetric) {
+            const { min, max } = this._getMetricValues(sizeMetric);
+            this.graphLegend.setSection('nodeSize', `Size: ${sizeMetric}`, [
+                { label: formatValue(min), size: 6 },
+                { label: formatValue(max), size: 6 * Math.cbrt(this.GRAPH_STYLE.MAX_NODE_VAL) }
+            ]);
+        } else {
+            this.graphLegend.clearSection('nodeSize');
+        }
+
+        this._updateLinkLegend();
+    }
+
+    // Accepts spoken variants such as "page rank" or "communities"
+    _parseMetricName(spoken) {
+        const aliases = {
+            group: 'group', groups: 'group',
+            community: 'community', communities: 'community', cluster: 'community', clusters: 'community',
+            degree: 'degree', degrees: 'degree', connections: 'degree',
+            betweenness: 'betweenness', between: 'betweenness', bridges: 'betweenness',
+            pagerank: 'pagerank', rank: 'pagerank', importance: 'pagerank',
+            none: null, nothing: null, uniform: null, default: null
+        };
+        const key = normalizeName(spoken);
+        return key in aliases ? aliases[key] : undefined;
+    }
+
+    _getLinkColor(link) {
+        const encoding = LINK_ENCODINGS[this.linkEncoding];
+        const source = encoding.colorBySource && typeof link.source === 'object' ? link.source : null;
+        const color = this.highlighter.getLinkColor(link) ||
+            (source && (source.color || this.groupColorScale(source.group))) ||
+            link.color ||
+            this.GRAPH_STYLE.LINK_COLOR;
+
+        let opacity = this._getLinkOpacity(link);
+        if (encoding.weight) {
+            const minOpacity = this.GRAPH_STYLE.LINK_MIN_WEIGHT_OPACITY;
+            opacity *= minOpacity + (1 - minOpacity) * this._getLinkWeight(link);
+        }
+        return this._colorWithOpacity(color, opacity);
+    }
+
+    _getLinkWidth(link) {
+        let width = this.GRAPH_STYLE.LINK_WIDTH * this.highlighter.getLinkWidthScale(link);
+        if (LINK_ENCODINGS[this.linkEncoding].weight) {
+            const { LINK_MIN_WIDTH_SCALE, LINK_MAX_WIDTH_SCALE } = this.GRAPH_STYLE;
+            width *= LINK_MIN_WIDTH_SCALE + (LINK_MAX_WIDTH_SCALE - LINK_MIN_WIDTH_SCALE) * this._getLinkWeight(link);
+        }
+        return width;
+    }
+
+    // Link value on [0, 1] relative to the other links in view
+    _getLinkWeight(link) {
+        if (!this.linkWeightScale) {
+            this.linkWeightScale = createWeightScale(this.forceGraph?.graphData().links || []);
+        }
+        return this.linkWeightScale(link);
+    }
+
+    _getLinkArrowLength() {
+        return LINK_ENCODINGS[this.linkEncoding].arrows ? this.GRAPH_STYLE.LINK_ARROW_LENGTH : 0;
+    }
+
+    // Stronger links carry more and faster particles; faded links carry none
+    _getLinkParticles(link) {
+        if (!LINK_ENCODINGS[this.linkEncoding].particles || this._getLinkOpacity(link) < 0.5) return 0;
+        return 1 + Math.round((this.GRAPH_STYLE.LINK_MAX_PARTICLES - 1) * this._getLinkWeight(link));
+    }
+
+    _getLinkParticleSpeed(link) {
+        return this.GRAPH_STYLE.LINK_PARTICLE_SPEED * (1 + this._getLinkWeight(link));
+    }
+
+    _setLinkEncoding(name) {
+        if (!(name in LINK_ENCODINGS)) return;
+        this.linkEncoding = name;
+        if (this.linkEncodingSelect) this.linkEncodingSelect.value = name;
+        this._refreshGraphStyles();
+        this._updateMetricLegend();
+
+        console.log(`Link encoding: ${name}`);
+        this._showSpeechBubbleStatus(`Links: ${LINK_ENCODINGS[name].label}`);
+    }
+
+    _updateLinkLegend() {
+        const encoding = LINK_ENCODINGS[this.linkEncoding];
+        const items = [];
+
+        if (encoding.weight) {
+            const [min, max] = createWeightScale(this.forceGraph?.graphData().links || []).domain;
+            const { LINK_WIDTH, LINK_MIN_WIDTH_SCALE, LINK_MAX_WIDTH_SCALE, LINK_MIN_WEIGHT_OPACITY } = this.GRAPH_STYLE;
+            items.push(
+                { label: `weight ${min}`, lineWidth: LINK_WIDTH * LINK_MIN_WIDTH_SCALE, color: `rgba(240,240,240,${LINK_MIN_WEIGHT_OPACITY})` },
+                { label: `weight ${max}`, lineWidth: LINK_WIDTH * LINK_MAX_WIDTH_SCALE }
+            );
+        }
+        if (encoding.arrows) items.push({ label: 'source → target', symbol: '──▶' });
+        if (encoding.particles) items.push({ label: 'flow, faster when stronger', symbol: '• • •' });
+        if (encoding.colorBySource) items.push({ label: 'colour of source group', symbol: '◐' });
+
+        if (items.length) {
+            this.graphLegend.setSection('links', `Links: ${encoding.label}`, items);
+        } else {
+            this.graphLegend.clearSection('links');
+        }
+    }
+
+    _onTimelineChanged() {
+        this.timelineRestyle.pending = true;
+        this._flushTimelineRestyle();
+        this._updateTimelineUI();
+        // Hover and drag let go of nodes that do not exist at the new time
+        const faded = [...this.hoveredNodes, ...this.draggedNodes.map(drag => drag.node)]
+            .filter(node => node && this.timeline.getOpacity(node) < 0.5);
+        if (faded.length) this._releaseNodes(new Set(faded));
+    }
+
+    // Called on every change and every frame, so the last change of a scrub is still drawn once it stops
+    _flushTimelineRestyle(now = performance.now()) {
+        const restyle = this.timelineRestyle;
+        if (!restyle.pending || now - restyle.lastTime < this.INTERACTION.TIMELINE_RESTYLE_MS) return;
+        restyle.pending = false;
+        restyle.lastTime = now;
+        this._refreshGraphStyles();
+    }
+
+    _setTimelineTime(time) {
+        if (this.timeline.setTime(time)) this._onTimelineChanged();
+        else this._updateTimelineUI();
+    }
+
+    _setTimelinePlaying(playing) {
+        if (!this.timeline.isEnabled) {
+            if (playing) this._showSpeechBubbleStatus('This graph has no timestamps', 2500);
+            return;
+        }
+        if (playing) this.timeline.play();
+        else this.timeline.pause();
+        this._updateTimelineUI();
+    }
+
+    // "start", "end" or anything parseTimestamp reads, such as a year
+    _goToTime(spoken) {
+        if (!this.timeline.isEnabled) {
+            this._showSpeechBubbleStatus('This graph has no timestamps', 2500);
+            return;
+        }
+        const { min, max } = this.timeline.extent;
+        const key = normalizeName(spoken);
+        const time = ['start', 'beginning', 'begin', 'first'].includes(key) ? min :
+            ['end', 'now', 'latest', 'last'].includes(key) ? max :
+            parseTimestamp(spoken.replace(/^(?:the )?year /, ''));
+        if (!Number.isFinite(time)) {
+            this._showSpeechBubbleStatus(`Could not read the date "${spoken}"`, 2500);
+            return;
+        }
+        this.timeline.pause();
+        this._setTimelineTime(time);
+        this._showSpeechBubbleStatus(formatTimestamp(this.timeline.time, this.timeline.span));
+    }
+
+    _updateTimelineUI() {
+        if (!this.timelineBar) return;
+        this.timelineBar.classList.toggle('hidden', !this.timeline.isEnabled);
+        if (!this.timeline.isEnabled) return;
+
+        this.timelineSlider.value = Math.round(this.timeline.progress * Number(this.timelineSlider.max));
+        this.timelineLabel.textContent = formatTimestamp(this.timeline.time, this.timeline.span);
+        this.timelinePlayButton.textContent = this.timeline.isPlaying ? 'Pause' : 'Play';
+    }
+
+    // Re-applying the accessors makes the force graph re-evaluate them for every object
+    _refreshGraphStyles() {
+        if (!this.forceGraph) return;
+        this.forceGraph
+            .nodeColor(this.forceGraph.nodeColor())
+            .linkColor(this.forceGraph.linkColor())
+            .linkWidth(this.forceGraph.linkWidth())
+            .linkDirectionalArrowLength(this.forceGraph.linkDirectionalArrowLength())
+            .linkDirectionalParticles(this.forceGraph.linkDirectionalParticles());
+        this.labelManager?.setOpacityAccessor(node => this._getNodeOpacity(node));
+    }
+
+    // Best fuzzy match for a spoken or typed name against node ids and display names
+    _findNodeByName(query) {
+        if (!this.forceGraph) return null;
+        return searchNodes(this.forceGraph.graphData().nodes, query, { limit: 1 })[0]?.node || null;
+    }
+
+    _searchNode(query) {
+        if (!this.forceGraph) return;
+
+        const matches = searchNodes(this.forceGraph.graphData().nodes, query);
+        if (!matches.length) {
+            this._showSpeechBubbleStatus(`No node matches "${query}"`, 2500);
+            return;
+        }
+
+        const candidates = ambiguousMatches(matches).map(match => match.node);
+        if (!candidates.length) {
+            this._selectSearchResult(matches[0].node);
+            return;
+        }
+
+        // Several close matches: mark them all and let the user choose
+        this.searchQuery.candidates = candidates;
+        const nodeIds = new Set(candidates.map(node => node.id));
+        this.highlighter.setLayer('search', { nodeIds, color: this.GRAPH_STYLE.SEARCH_CANDIDATE_COLOR, dimOthers: false });
+        this._refreshGraphStyles();
+        this._zoomToFit(node => nodeIds.has(node.id));
+        // Picking a candidate needs a pinch; auto mode already has one
+        if (!this._canDragNodes()) this._handleInteractionModeChange('drag');
+
+        const options = candidates.map((node, i) => `${i + 1}. ${getNodeLabel(node)}`).join(', ');
+        console.log(`Search "${query}" is ambiguous: ${options}`);
+        this._showSpeechBubbleStatus(`Which one? ${options}. Say the number or pinch it`, 6000);
+    }
+
+    _selectSearchResult(node) {
+        this.searchQuery.candidates = [];
+        this.highlighter.setLayer('search', {
+            nodeIds: new Set([node.id]),
+            color: this.GRAPH_STYLE.SEARCH_RESULT_COLOR,
+            dimOthers: false
+        });
+        this._refreshGraphStyles();
+        this._flyToNode(node);
+        this.lastInteractedNode = node;
+        this._showNodeDetails(node);
+
+        console.log(`Search found ${node.id}`);
+        this._showSpeechBubbleStatus(`Found ${getNodeLabel(node)}`);
+    }
+
+    _chooseSearchCandidate(index) {
+        const node = this.searchQuery.candidates[index];
+        if (node) this._selectSearchResult(node);
+    }
+
+    _clearSearch() {
+        this.searchQuery.candidates = [];
+        if (this.highlighter.clearLayer('search')) this._refreshGraphStyles();
+    }
+
+    // Moves the camera along its current viewing direction until the node sits centred and close
+    _flyToNode(node) {
+        const camera = this.forceGraph.camera();
+        const nodePos = new THREE.Vector3(node.x || 0, node.y || 0, node.z || 0);
+        const offset = camera.position.clone().sub(nodePos);
+        if (offset.lengthSq() === 0) offset.set(0, 0, 1);
+        offset.setLength(this.INTERACTION.SEARCH_CAMERA_DISTANCE);
+
+        const cameraPos = nodePos.clone().add(offset);
+        this.forceGraph.cameraPosition(
+            { x: cameraPos.x, y: cameraPos.y, z: cameraPos.z },
+            { x: nodePos.x, y: nodePos.y, z: nodePos.z },
+            this.INTERACTION.CAMERA_TRANSITION_MS
+        );
+    }
+
+    // Brings the orbit target back to the middle of the visible graph, keeping the viewing angle and distance.
+    // Nodes faded out by the timeline do not count towards the middle.
+    _recenterView() {
+        if (!this.forceGraph?.controls()?.target) return;
+        const nodes = this.forceGraph.graphData().nodes
+            .filter(node => Number.isFinite(node.x) && this.timeline.getOpacity(node) >= 0.5);
+        const centre = new THREE.Vector3();
+        nodes.forEach(node => centre.add(new THREE.Vector3(node.x, node.y, node.z || 0)));
+        if (nodes.length) centre.divideScalar(nodes.length);
+
+        const camera = this.forceGraph.camera();
+        const cameraPos = centre.clone().add(camera.position.clone().sub(this.forceGraph.controls().target));
+        this.rotationInertia = null;
+        this.forceGraph.cameraPosition(
+            { x: cameraPos.x, y: cameraPos.y, z: cameraPos.z },
+            { x: centre.x, y: centre.y, z: centre.z },
+            this.INTERACTION.CAMERA_TRANSITION_MS
+        );
+        this._showSpeechBubbleStatus('View recentred');
+    }
+
+    _undo() {
+        const entry = this.history.undo();
+        this._showSpeechBubbleStatus(entry ? `Undo: ${entry.label}` : 'Nothing to undo');
+    }
+
+    _redo() {
+        const entry = this.history.redo();
+        this._showSpeechBubbleStatus(entry ? `Redo: ${entry.label}` : 'Nothing to redo');
+    }
+
+    // The video is mirrored, so a hand moving left on screen moves right in the camera image
+    _handleHistorySwipe(event) {
+        if (event.velocity.x > 0) this._undo();
+        else this._redo();
+    }
+
+    _captureCamera() {
+        const camera = this.forceGraph?.camera();
+        const target = this.forceGraph?.controls()?.target;
+        return camera && target ? { position: camera.position.clone(), target: target.clone() } : null;
+    }
+
+    _isSameCamera(a, b) {
+        return a.position.distanceTo(b.position) < 0.01 && a.target.distanceTo(b.target) < 0.01;
+    }
+
+    // Records a camera move once the camera has come to rest, whatever moved it: gestures, the mouse or a
+    // camera transition. Auto-rotation is not recorded.
+    _trackCameraHistory(now = performance.now()) {
+        const current = this._captureCamera();
+        if (!current) return;
+
+        const cameraHistory = this.cameraHistory;
+        if (!cameraHistory.settled || this.isAutoRotating) {
+            Object.assign(cameraHistory, { settled: current, last: current });
+            return;
+        }
+        if (!this._isSameCamera(current, cameraHistory.last)) {
+            Object.assign(cameraHistory, { last: current, lastMoveTime: now });
+            return;
+        }
+        if (now - cameraHistory.lastMoveTime < this.INTERACTION.CAMERA_SETTLE_MS || this._isSameCamera(current, cameraHistory.settled)) return;
+
+        const before = cameraHistory.settled;
+        cameraHistory.settled = current;
+        this.history.record({
+            label: 'camera move',
+            undo: () => this._restoreCamera(before),
+            redo: () => this._restoreCamera(current)
+        });
+    }
+
+    _restoreCamera({ position, target }) {
+        if (!this.forceGraph) return;
+        this.rotationInertia = null;
+        // The transition ends where the history already is, so it is not recorded again
+        this.cameraHistory.settled = { position, target };
+        this.forceGraph.cameraPosition(
+            { x: position.x, y: position.y, z: position.z },
+            { x: target.x, y: target.y, z: target.z },
+            this.INTERACTION.CAMERA_TRANSITION_MS
+        );
+    }
+
+    _startPathPicking(weighted = false) {
+        Object.assign(this.pathQuery, { isPicking: true, weighted, pickedNodes: [] });
+        if (!this._canDragNodes()) this._handleInteractionModeChange('drag');
+        this._showSpeechBubbleStatus('Pinch the start node, then the end node', 2500);
+    }
+
+    _addPathPick(node) {
+        const picked = this.pathQuery.pickedNodes;
+        if (picked[picked.length - 1] === node) return;
+        picked.push(node);
+
+        if (picked.length === 1) {
+            this._showSpeechBubbleStatus(`From ${getNodeLabel(node)}: now pinch the end node`, 2500);
+        } else {
+            this.pathQuery.isPicking = false;
+            this._showPath(picked[0], picked[1], this.pathQuery.weighted);
+            this.pathQuery.pickedNodes = [];
+        }
+    }
+
+    _handlePathCommand(fromName, toName, weighted) {
+        const fromNode = this._findNodeByName(fromName);
+        const toNode = this._findNodeByName(toName);
+        if (!fromNode || !toNode) {
+            this._showSpeechBubbleStatus(`Could not find "${!fromNode ? fromName : toName}"`, 2500);
+            return;
+        }
+        this._showPath(fromNode, toNode, weighted);
+    }
+
+    _showPath(fromNode, toNode, weighted = false) {
+        if (!this.forceGraph) return;
+
+        const path = shortestPath(this.forceGraph.graphData(), fromNode.id, toNode.id, { weighted });
+        if (!path) {
+            this._showSpeechBubbleStatus(`No path between ${getNodeLabel(fromNode)} and ${getNodeLabel(toNode)}`, 2500);
+            return;
+        }
+
+        const nodeIds = new Set(path.nodeIds);
+        this.highlighter.setLayer('path', {
+            nodeIds,
+            links: new Set(path.links),
+            linkColor: this.GRAPH_STYLE.PATH_LINK_COLOR,
+            linkWidthScale: this.GRAPH_STYLE.PATH_LINK_WIDTH_SCALE
+        });
+        this._refreshGraphStyles();
+        this._zoomToFit(node => nodeIds.has(node.id));
+
+        const nodesById = new Map(this.forceGraph.graphData().nodes.map(node => [node.id, node]));
+        const hops = path.nodeIds.length - 1;
+        const route = path.nodeIds.map(id => getNodeLabel(nodesById.get(id))).join(' → ');
+        console.log(`Path (${weighted ? 'weighted' : 'hops'}): ${route}`);
+        this._showSpeechBubbleStatus(`${route} (${hops} hop${hops === 1 ? '' : 's'})`, 4000);
+    }
+
+    _clearPath() {
+        this.pathQuery.isPicking = false;
+        this.pathQuery.pickedNodes = [];
+        if (this.highlighter.clearLayer('path')) this._refreshGraphStyles();
+    }
+
+    // Focuses on one node or several, e.g. the selection
+    _setFocus(nodes, hops = 1) {
+        nodes = [].concat(nodes).filter(Boolean);
+        if (!nodes.length || !this.forceGraph) {
+            this._showSpeechBubbleStatus('Hover or pinch a node to focus on it');
+            return;
+        }
+
+        this.focus.node = nodes[0];
+        this.focus.nodes = nodes;
+        this.focus.hops = Math.min(Math.max(hops, 1), this.INTERACTION.MAX_FOCUS_HOPS);
+        const nodeIds = this._updateFocusLayer();
+        this._zoomToFit(n => nodeIds.has(n.id));
+
+        const { hops: focusHops } = this.focus;
+        const label = nodes.length === 1 ? getNodeLabel(nodes[0]) : `${nodes.length} selected nodes`;
+        console.log(`Focus on ${nodes.map(node => node.id).join(', ')}: ${focusHops} hop(s), ${nodeIds.size} nodes`);
+        this._showSpeechBubbleStatus(`Focus: ${label} (${focusHops} hop${focusHops === 1 ? '' : 's'}, ${nodeIds.size} nodes)`, 2500);
+    }
+
+    // Keeps the focus in step with the current view, dropping nodes that are gone and leaving focus mode
+    // once none are left
+    _refreshFocus() {
+        if (!this.focus.node) return;
+        const viewNodes = this.forceGraph.graphData().nodes;
+        this.focus.nodes = this.focus.nodes.filter(node => viewNodes.includes(node));
+        if (this.focus.nodes.length) {
+            this.focus.node = this.focus.nodes.includes(this.focus.node) ? this.focus.node : this.focus.nodes[0];
+            this._updateFocusLayer();
+        } else {
+            this._clearFocus();
+        }
+    }
+
+    // Recomputes the focused neighbourhood, e.g. after the graph changed; returns its node ids
+    _updateFocusLayer() {
+        const { distances, links } = kHopNeighbourhood(this.forceGraph.graphData(), this.focus.nodes.map(node => node.id), this.focus.hops);
+        const nodeIds = new Set(distances.keys());
+        this.highlighter.setLayer('focus', { nodeIds, links });
+        this._refreshGraphStyles();
+        return nodeIds;
+    }
+
+    // Grows or shrinks the focus radius; shrinking below one hop leaves focus mode
+    _changeFocusHops(delta) {
+        if (!this.focus.node) {
+            if (delta > 0) this._setFocus(this.currentlyHoveredNode || this.lastInteractedNode, 1);
+            return;
+        }
+
+        const hops = this.focus.hops + delta;
+        if (hops < 1) {
+            this._clearFocus();
+        } else if (hops > this.INTERACTION.MAX_FOCUS_HOPS) {
+            this._showSpeechBubbleStatus(`Focus is at its ${this.INTERACTION.MAX_FOCUS_HOPS} hop limit`);
+        } else {
+            this._setFocus(this.focus.nodes, hops);
+        }
+    }
+
+    _clearFocus() {
+        this.focus.node = null;
+        this.focus.nodes = [];
+        this.focus.hops = 1;
+        this.focus.emptyPinch = null;
+        if (this.highlighter.clearLayer('focus')) {
+            this._refreshGraphStyles();
+            this._showSpeechBubbleStatus('Focus cleared');
+        }
+    }
+
+    _setSelection(nodes) {
+        this.selection = new Set(nodes);
+        if (!this.selection.size) {
+            if (this.highlighter.clearLayer('selection')) this._refreshGraphStyles();
+            return;
+        }
+        const links = this.forceGraph.graphData().links.filter(link =>
+            this.selection.has(link.source) && this.selection.has(link.target)
+        );
+        this.highlighter.setLayer('selection', {
+            nodeIds: new Set([...this.selection].map(node => node.id)),
+            links: new Set(links),
+            dimOthers: false,
+            color: this.GRAPH_STYLE.SELECTION_COLOR
+        });
+        this._refreshGraphStyles();
+    }
+
+    _selectGroup(spoken) {
+        const group = /^(this|that)$/.test(spoken) ? (this.currentlyHoveredNode || this.lastInteractedNode)?.group : this._findGroup(spoken);
+        if (group === undefined || !this.forceGraph) {
+            this._showSpeechBubbleStatus(`No group "${spoken}"`, 2500);
+            return;
+        }
+        // A collapsed group is selected as its super-node
+        const members = this.forceGraph.graphData().nodes.filter(node => node.group === group);
+        this._setSelection(members);
+        this._showSpeechBubbleStatus(`Selected group ${group} (${members.length} node${members.length === 1 ? '' : 's'})`);
+    }
+
+    _clearSelection() {
+        if (!this.selection.size) return;
+        this._setSelection([]);
+        this._showSpeechBubbleStatus('Selection cleared');
+    }
+
+    // Runs a command on every selected node, or explains that nothing is selected
+    _withSelection(action) {
+        if (!this.selection.size) {
+            this._showSpeechBubbleStatus('Nothing selected: trace a loop with your index finger or say "select group"', 2500);
+            return;
+        }
+        action([...this.selection]);
+    }
+
+    _hideSelection() {
+        this._withSelection(nodes => {
+            // Hiding a super-node hides its whole group
+            this._changeFilters('hide selection', () => {
+                nodes.filter(isSuperNode).forEach(node => this.graphFilter.setGroupVisible(node.group, false));
+                this.graphFilter.setNodesVisible(nodes.filter(node => !isSuperNode(node)).map(node => node.id), false);
+            });
+            this._showSpeechBubbleStatus(`Hid ${nodes.length} node${nodes.length === 1 ? '' : 's'}`);
+        });
+    }
+
+    _showHiddenNodes() {
+        if (!this.graphFilter.hiddenNodeIds.size) return;
+        this._changeFilters('show hidden nodes', () => this.graphFilter.hiddenNodeIds.clear());
+        this._showSpeechBubbleStatus('Showing hidden nodes');
+    }
+
+    _updateLassoPath() {
+        if (!this.lassoPath) return;
+        const width = this.renderDiv.clientWidth;
+        const height = this.renderDiv.clientHeight;
+        // Screen positions are centred with y up; SVG has its origin top left with y down
+        this.lassoPath.setAttribute('points', this.lasso.points.map(({ x, y }) => `${x + width / 2},${height / 2 - y}`).join(' '));
+    }
+
+    _cancelLasso() {
+        this.lasso.cancel();
+        this.lassoHandIndex = null;
+        this._updateLassoPath();
+    }
+
+    _finishLasso() {
+        const polygon = this.lasso.finish();
+        this._cancelLasso();
+        if (!this.forceGraph) return;
+        if (!polygon) {
+            this._showSpeechBubbleStatus('Close the loop to select');
+            return;
+        }
+
+        // Nodes behind the camera project mirrored through the middle of the screen, so they are skipped
+        const screenPos = new THREE.Vector2();
+        const nodes = this.forceGraph.graphData().nodes.filter(node =>
+            Number.isFinite(node.x) && this.timeline.getOpacity(node) >= 0.5 && this._getViewDepth(node) > 0 &&
+            pointInPolygon(this._worldToScreen(node, screenPos), polygon)
+        );
+        this._setSelection(nodes);
+        this._showSpeechBubbleStatus(nodes.length ? `Selected ${nodes.length} node${nodes.length === 1 ? '' : 's'}` : 'Nothing inside the loop');
     }
 
     _animate() {
@@ -896,6 +2911,16 @@ export class Game {
         if (this.gameState === 'tracking') {
             this._updateHands();
         }
+        this._updateLayoutTransition();
+        this._updateRotationInertia();
+        this._trackCameraHistory();
+        // Keep restyling while highlight opacities fade or the timeline plays
+        const isFading = this.highlighter.update();
+        if (this.timeline.update()) this._onTimelineChanged();
+        else this._flushTimelineRestyle();
+        if (isFading) this._refreshGraphStyles();
+        this._updateNodeDetailCardPosition();
+        this._updateLabels();
 
         this.renderer.render(this.scene, this.camera);
     }
@@ -961,10 +2986,104 @@ export class Game {
     }
 
     _handleSpeechCommand(command) {
+        // Commands with arguments are matched first and stop further handling
+        const parameterizedCommands = [
+            [/^undo(?: that)?$/, () => this._undo()],
+            [/^redo(?: that)?$/, () => this._redo()],
+            [/^pan(?: mode)?$/, () => this._handleInteractionModeChange('pan')],
+            [/^(?:re-?cent(?:er|re)|cent(?:er|re) (?:the )?(?:graph|view))$/, () => this._recenterView()],
+            [/^calibrate(?: (?:for|as) (.+))?$/, ([, name]) => this._startCalibration(name)],
+            [/^(?:cancel|stop) calibration$/, () => this._cancelCalibration()],
+            [/^(?:use|load) calibration (?:for )?(.+)$/, ([, name]) => this._useCalibrationProfile(name)],
+            [/^reset calibration$/, () => this._resetCalibration()],
+            [/^(?:list|show) calibrations$/, () => this._listCalibrationProfiles()],
+            [/^(?:delete|remove) calibration (?:for )?(.+)$/, ([, name]) => this._deleteCalibrationProfile(name)],
+            [/^(save|export) layout(?: (?:as |called )?(.+))?$/, ([, verb, name]) => this._saveLayout(name?.trim() || 'default', verb === 'export')],
+            [/^(?:load|restore) layout(?: (.+))?$/, ([, name]) => this._loadLayout(name?.trim() || 'default')],
+            [/^(.+?) layout$/, ([, spoken]) => {
+                const layout = parseLayoutName(spoken);
+                if (layout) this._setLayout(layout);
+            }],
+            [/^select (?:group (.+)|(this|that) group)$/, ([, group, pronoun]) => this._selectGroup(group || pronoun)],
+            [/^(?:clear|cancel) selection$|^(?:deselect|unselect)(?: all)?$/, () => this._clearSelection()],
+            [/^(un)?pin (?:the )?(?:selection|selected(?: nodes)?)$/, ([, un]) => this._withSelection(nodes => {
+                nodes.forEach(node => this._setNodePinned(node, !un));
+                this._showSpeechBubbleStatus(`${un ? 'Unpinned' : 'Pinned'} ${nodes.length} node${nodes.length === 1 ? '' : 's'}`);
+            })],
+            [/^hide (?:the )?(?:selection|selected(?: nodes)?)$/, () => this._hideSelection()],
+            [/^(?:show|unhide) (?:all |hidden )nodes$/, () => this._showHiddenNodes()],
+            [/^focus on (?:the )?(?:selection|selected(?: nodes)?)$/, () => this._withSelection(nodes => this._setFocus(nodes, 1))],
+            [/^unpin all$/, () => this.forceGraph?.graphData().nodes.filter(n => n.pinned).forEach(n => this._setNodePinned(n, false))],
+            [/^unpin\b/, () => this._setNodePinned(this.currentlyHoveredNode || this.lastInteractedNode, false)],
+            [/^pin\b/, () => this._setNodePinned(this.currentlyHoveredNode || this.lastInteractedNode, true)],
+            [/^(?:sprite|scene) labels$/, () => this._setLabelMode('sprite')],
+            [/^(?:html|dom) labels$/, () => this._setLabelMode('dom')],
+            [/^labels? (on|off)$/, ([, state]) => this._setLabelMode(state === 'on' ? this.labelManager?.lastVisibleMode : 'off')],
+            [/^(weighted )?path from (.+?) to (.+)$/, ([, weighted, from, to]) => this._handlePathCommand(from, to, !!weighted)],
+            [/^(weighted )?(?:path mode|pick path|find path)$/, ([, weighted]) => this._startPathPicking(!!weighted)],
+            [/^clear path$/, () => this._clearPath()],
+            [/^focus(?: on (.+))?$/, ([, name]) => {
+                const node = name ? this._findNodeByName(name) : this.currentlyHoveredNode || this.lastInteractedNode;
+                if (name && !node) {
+                    this._showSpeechBubbleStatus(`Could not find "${name}"`, 2500);
+                    return;
+                }
+                this._setFocus(node, 1);
+            }],
+            [/^(?:expand|grow)(?: focus)?$/, () => this._changeFocusHops(1)],
+            [/^(?:collapse|shrink)(?: focus)?$/, () => this._changeFocusHops(-1)],
+            [/^(?:(?:clear|exit|stop) focus|unfocus)$/, () => this._clearFocus()],
+            [/^(?:number )?(one|two|three|four|five|[1-5]|first|second|third|fourth|fifth)$/, ([, choice]) => {
+                const ordinals = [['one', '1', 'first'], ['two', '2', 'second'], ['three', '3', 'third'], ['four', '4', 'fourth'], ['five', '5', 'fifth']];
+                this._chooseSearchCandidate(ordinals.findIndex(words => words.includes(choice)));
+            }],
+            [/^clear search$/, () => this._clearSearch()],
+            [/^(collapse|expand) (?:all )?groups$/, ([, verb]) => this._setAllGroupsCollapsed(verb === 'collapse')],
+            [/^(collapse|expand) (?:group (.+)|(this|that) group)$/, ([, verb, group, pronoun]) =>
+                this._handleGroupCollapseCommand(group || pronoun, verb === 'collapse')],
+            [/^show all groups$/, () => this._changeFilters('show all groups', () => this.graphFilter.hiddenGroups.clear())],
+            [/^(hide|show) group (.+)$/, ([, verb, group]) => this._setGroupsVisible(group, verb === 'show')],
+            [/^only (?:show )?group (.+)$/, ([, group]) => this._setGroupsVisible(group, true, true)],
+            [/^only strong links$/, () => this._setMinLinkValue(strongLinkThreshold(this.graphData?.links || []))],
+            [/^(?:show )?all links$/, () => this._setMinLinkValue(0)],
+            [/^(?:min|minimum) (?:link )?weight (\d+(?:\.\d+)?)$/, ([, value]) => this._setMinLinkValue(Number(value))],
+            [/^(hide|show) (?:isolated|unlinked|unconnected) nodes$/, ([, verb]) => {
+                this._changeFilters(`${verb} unlinked nodes`, () => { this.graphFilter.hideIsolated = verb === 'hide'; });
+            }],
+            [/^(?:clear|reset) filters?$/, () => {
+                this._changeFilters('clear filters', () => this.graphFilter.reset());
+                this._showSpeechBubbleStatus('Filters cleared');
+            }],
+            [/^links? (?:by |encoding )?(.+)$/, ([, spoken]) => {
+                const encoding = parseLinkEncoding(spoken);
+                if (encoding) this._setLinkEncoding(encoding);
+                else this._showSpeechBubbleStatus(`Unknown link encoding "${spoken}"`, 2500);
+            }],
+            // Only known encoding words, so other "… links" commands still reach the patterns below
+            [new RegExp(`^(?:show )?(${SPOKEN_LINK_ENCODING.source}) links$`), ([, spoken]) =>
+                this._setLinkEncoding(parseLinkEncoding(spoken))],
+            [/^(?:find|search(?: for)?|show|where is|locate) (.+)$/, ([, query]) => this._searchNode(query)],
+            [/^(?:play|resume)(?: timeline)?$/, () => this._setTimelinePlaying(true)],
+            [/^(?:pause|stop)(?: timeline)?$/, () => this._setTimelinePlaying(false)],
+            [/^rewind$/, () => this._goToTime('start')],
+            [/^(?:go|jump|skip) to (.+)$/, ([, spoken]) => this._goToTime(spoken)],
+            [/^(size|colou?r) by (.+)$/, ([, channel, spoken]) => {
+                const metric = this._parseMetricName(spoken);
+                if (metric !== undefined) this._setNodeMetric(channel === 'size' ? 'size' : 'color', metric);
+            }]
+        ];
+        const match = parameterizedCommands.find(([pattern]) => pattern.test(command));
+        if (match) {
+            match[1](command.match(match[0]));
+            return;
+        }
+
         const commands = {
             drag: () => this._handleInteractionModeChange('drag'),
             rotate: () => this._handleInteractionModeChange('rotate'),
-            zoom: () => this._handleInteractionModeChange('zoom')
+            zoom: () => this._handleInteractionModeChange('zoom'),
+            auto: () => this._handleInteractionModeChange('auto'),
+            time: () => this._handleInteractionModeChange('time')
         };
 
         const autoRotateCommands = ['auto rotation', 'autorotation', 'auto rotate'];
@@ -986,35 +3105,25 @@ export class Game {
         }
 
         try {
-            // Setup CSS2DRenderer
-            this.css2DRenderer = new CSS2DRenderer();
-            this.css2DRenderer.setSize(this.forceGraphContainer.clientWidth, this.forceGraphContainer.clientHeight);
-            this.css2DRenderer.domElement.style.position = 'absolute';
-            this.css2DRenderer.domElement.style.top = '0px';
-            this.css2DRenderer.domElement.style.pointerEvents = 'none';
-            
-            this.forceGraphContainer.appendChild(this.css2DRenderer.domElement);
-
             // Create ForceGraph3D
             this.forceGraph = ForceGraph3D({
                 controlType: 'orbit',
-                rendererConfig: { alpha: true, antialias: true },
-                extraRenderers: [this.css2DRenderer]
+                rendererConfig: { alpha: true, antialias: true }
             })(this.forceGraphContainer)
-                .jsonUrl('assets/pdf_graph.json')
-                .nodeAutoColorBy('group')
+                .nodeColor(node => this._getNodeColor(node))
+                .nodeVal(node => this._getNodeVal(node))
                 .nodeRelSize(18)
                 .nodeOpacity(1)
+                .linkColor(link => this._getLinkColor(link))
                 .linkOpacity(0.8)
-                .linkWidth(2)
-                .nodeThreeObject(node => {
-                    const nodeEl = document.createElement('div');
-                    nodeEl.textContent = node.id;
-                    nodeEl.className = 'node-label';
-                    return new CSS2DObject(nodeEl);
-                })
-                .nodeThreeObjectExtend(true)
+                .linkWidth(link => this._getLinkWidth(link))
+                .linkDirectionalArrowLength(() => this._getLinkArrowLength())
+                .linkDirectionalArrowRelPos(1)
+                .linkDirectionalParticles(link => this._getLinkParticles(link))
+                .linkDirectionalParticleSpeed(link => this._getLinkParticleSpeed(link))
+                .linkDirectionalParticleWidth(this.GRAPH_STYLE.LINK_PARTICLE_WIDTH)
                 .onNodeClick(node => console.log("Clicked node:", node))
+                .onEngineTick(() => this.nodeIndex.markDirty())
                 .backgroundColor('rgba(0,0,0,0)');
 
             // Setup post-processing
@@ -1039,6 +3148,11 @@ export class Game {
             }
 
             this.forceGraph.cameraPosition({ z: 500 });
+
+            // Labels are drawn by the label manager instead of one DOM object per node
+            const labelMode = new URLSearchParams(window.location.search).get('labels') || this.config.labels?.mode;
+            this.labelManager = new LabelManager(this.labelLayer, graphScene, { ...this.config.labels, mode: labelMode });
+            this.labelManager.setOpacityAccessor(node => this._getNodeOpacity(node));
             console.log("3D Force Graph initialized successfully.");
 
         } catch (error) {
@@ -1049,36 +3163,31 @@ export class Game {
     }
 
     _cleanupGraphContainers() {
-        [this.forceGraphContainer, this.css2DRenderer?.domElement].forEach(element => {
+        [this.forceGraphContainer, this.labelLayer].forEach(element => {
             if (element?.parentNode) {
                 element.parentNode.removeChild(element);
             }
         });
         this.forceGraphContainer = null;
-        this.css2DRenderer = null;
+        this.labelLayer = null;
+        this.labelManager?.dispose();
+        this.labelManager = null;
     }
 
-    _get3DDistanceSq(p1, p2) {
-        return (p1.x - p2.x) ** 2 + (p1.y - p2.y) ** 2 + (p1.z - p2.z) ** 2;
+    _updateLabels() {
+        if (!this.labelManager || !this.forceGraph) return;
+        this.labelManager.update(
+            this.forceGraph.graphData().nodes,
+            this.forceGraph.camera(),
+            this.renderDiv.clientWidth,
+            this.renderDiv.clientHeight
+        );
     }
 
-    _isFist(landmarks) {
-        const requiredIndices = [this.LANDMARK_INDICES.WRIST, this.LANDMARK_INDICES.MIDDLE_FINGER_MCP, ...this.LANDMARK_INDICES.FINGERTIP_INDICES_FOR_FIST];
-        if (!landmarks || landmarks.length <= Math.max(...requiredIndices)) return false;
-
-        const wrist = landmarks[this.LANDMARK_INDICES.WRIST];
-        const middleMcp = landmarks[this.LANDMARK_INDICES.MIDDLE_FINGER_MCP];
-        const refDistSq = this._get3DDistanceSq(wrist, middleMcp);
-
-        if (refDistSq === 0) return false;
-
-        const thresholdSq = this.THRESHOLDS.FIST_CURL_RATIO ** 2;
-        const curledFingers = this.LANDMARK_INDICES.FINGERTIP_INDICES_FOR_FIST
-            .map(tipIndex => landmarks[tipIndex])
-            .filter(fingertip => this._get3DDistanceSq(fingertip, wrist) / refDistSq < thresholdSq)
-            .length;
-
-        return curledFingers >= this.THRESHOLDS.MIN_FINGERS_CURLED_FOR_FIST;
+    _setLabelMode(mode) {
+        if (!this.labelManager) return;
+        this.labelManager.setMode(mode);
+        this._showSpeechBubbleStatus(mode === 'off' ? 'Labels off' : `Labels: ${mode === 'sprite' ? 'in-scene sprites' : 'HTML'}`);
     }
 
     _toggleAutoRotation(forceState) {
@@ -1088,32 +3197,35 @@ export class Game {
         const newState = typeof forceState === 'boolean' ? forceState : !this.isAutoRotating;
         
         this.isAutoRotating = newState;
+        if (newState) this.rotationInertia = null;
         controls.autoRotate = this.isAutoRotating;
         controls.autoRotateSpeed = this.isAutoRotating ? this.autoRotateSpeed : 0;
 
         const status = this.isAutoRotating ? "Auto-Rotation ON" : "Auto-Rotation OFF";
         console.log(status);
+        this._showSpeechBubbleStatus(status);
+    }
 
-        if (this.speechBubble && this.speechManager?.isRecognizing) {
-            this.speechBubble.innerHTML = status;
-            this.speechBubble.style.opacity = '1';
-            this._updateSpeechBubbleAppearance();
+    // Shown whether or not speech recognition runs, so gesture-only actions such as an undo swipe are confirmed too
+    _showSpeechBubbleStatus(status, duration = 1500) {
+        if (!this.speechBubble) return;
 
-            setTimeout(() => {
-                if (this.speechBubble.innerHTML === status) {
-                    this.speechBubble.innerHTML = this.speechManager.interimTranscript ? 
-                        `<i style="color: #333;">${this.speechManager.interimTranscript}</i>` : "...";
-                    this.speechBubble.style.opacity = this.speechManager.interimTranscript ? '1' : '0.7';
-                }
-                this._updateSpeechBubbleAppearance();
-            }, 1500);
-        }
+        this.speechBubble.innerHTML = status;
+        this.speechBubble.style.opacity = '1';
+        this._updateSpeechBubbleAppearance();
+
+        setTimeout(() => {
+            if (this.speechBubble.innerHTML === status) {
+                const interimTranscript = this.speechManager?.interimTranscript;
+                this.speechBubble.innerHTML = interimTranscript ? 
+                    `<i style="color: #333;">${interimTranscript}</i>` : "...";
+                this.speechBubble.style.opacity = interimTranscript ? '1' : '0.7';
+            }
+            this._updateSpeechBubbleAppearance();
+        }, duration);
     }
 
     _setNodeHoverStyle(node, isHovering) {
-        const labelElement = node?.threeObject?.element;
-        if (labelElement) {
-            labelElement.classList.toggle('node-label-hover', isHovering);
-        }
+        this.labelManager?.setHovered(node, isHovering);
     }
 }
\ No newline at end of file
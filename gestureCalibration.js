@@ -0,0 +1,171 @@
+// Per-user gesture calibration: a pinch / open hand / fist walkthrough and the thresholds derived from it
+
+import { DEFAULT_THRESHOLDS } from './gestureEngine.js';
+import { openLocalStorage } from './browserStorage.js';
+
+// Profiles only live in localStorage; the type tag tells them apart from anything else stored there
+const CALIBRATION_PROFILE_TYPE = 'gesture-calibration';
+const STORAGE_PREFIX = 'gestureCalibration:';
+const ACTIVE_PROFILE_KEY = 'gestureCalibration.active';
+const FINGERS = ['index', 'middle', 'ring', 'pinky'];
+const round = value => Math.round(value * 1000) / 1000;
+
+export const CALIBRATION_STEPS = [
+    { pose: 'pinch', prompt: 'Pinch your thumb and index finger together and hold' },
+    { pose: 'open', prompt: 'Open your hand wide, fingers spread, and hold' },
+    { pose: 'fist', prompt: 'Make a fist and hold' }
+];
+
+// Poses whose measurements overlap by less than this (in palm lengths) cannot be told apart reliably
+const MIN_SEPARATION = 0.15;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Thresholds sit between the held pose and its opposite, nearer the held pose so that a
+// half-made gesture does not count; returns { thresholds } or { error }
+export function deriveThresholds(samples) {
+    const medianOf = (pose, key) => median(samples[pose].map(sample => sample[key]));
+    const fingerMedian = pose => median(FINGERS.map(finger => medianOf(pose, finger)));
+    const between = (near, far, fraction) => round(near + (far - near) * fraction);
+
+    const pinchClosed = medianOf('pinch', 'pinch');
+    const pinchOpen = medianOf('open', 'pinch');
+    const fingersCurled = fingerMedian('fist');
+    const fingersOpen = fingerMedian('open');
+    const thumbCurled = medianOf('fist', 'thumb');
+    const thumbOpen = medianOf('open', 'thumb');
+
+    if (pinchOpen - pinchClosed < MIN_SEPARATION) return { error: 'the pinch looked too much like the open hand' };
+    if (fingersOpen - fingersCurled < MIN_SEPARATION) return { error: 'the fist looked too much like the open hand' };
+
+    return {
+        thresholds: {
+            pinch: between(pinchClosed, pinchOpen, 0.4),
+            fingerCurled: between(fingersCurled, fingersOpen, 0.35),
+            fingerExtended: between(fingersCurled, fingersOpen, 0.7),
+            // A thumb that barely moves between poses keeps the default thresholds
+            ...(thumbOpen - thumbCurled >= MIN_SEPARATION ? {
+                thumbCurled: between(thumbCurled, thumbOpen, 0.35),
+                thumbExtended: between(thumbCurled, thumbOpen, 0.7)
+            } : {})
+        }
+    };
+}
+
+// Walks through CALIBRATION_STEPS: each step waits settleMs for the user to get into the pose,
+// then collects measurements for sampleMs. Time without a visible hand does not count.
+export class CalibrationWizard {
+    constructor({ settleMs = 1200, sampleMs = 1500 } = {}) {
+        this.settleMs = settleMs;
+        this.sampleMs = sampleMs;
+        this.stepIndex = 0;
+        this.stepElapsed = 0;
+        this.lastTime = null;
+        this.samples = Object.fromEntries(CALIBRATION_STEPS.map(step => [step.pose, []]));
+    }
+
+    get currentStep() {
+        return CALIBRATION_STEPS[this.stepIndex] || null;
+    }
+
+    get isComplete() {
+        return this.stepIndex >= CALIBRATION_STEPS.length;
+    }
+
+    get isSampling() {
+        return this.stepElapsed >= this.settleMs;
+    }
+
+    // Progress through the current step, 0..1
+    get stepProgress() {
+        return Math.min(this.stepElapsed / (this.settleMs + this.sampleMs), 1);
+    }
+
+    // measurement comes from measureHand(), or null while no hand is visible.
+    // Returns true when the step changed.
+    addMeasurement(measurement, now = performance.now()) {
+        if (this.isComplete) return false;
+        const elapsed = this.lastTime === null ? 0 : now - this.lastTime;
+        this.lastTime = now;
+        if (!measurement) return false;
+
+        this.stepElapsed += elapsed;
+        if (this.isSampling) this.samples[this.currentStep.pose].push(measurement);
+        if (this.stepElapsed < this.settleMs + this.sampleMs || !this.samples[this.currentStep.pose].length) return false;
+
+        this.stepIndex++;
+        this.stepElapsed = 0;
+        return true;
+    }
+
+    result() {
+        return this.isComplete ? deriveThresholds(this.samples) : { error: 'calibration is not finished' };
+    }
+}
+
+export function createProfile(name, thresholds) {
+    return { type: CALIBRATION_PROFILE_TYPE, version: 1, name, savedAt: new Date().toISOString(), thresholds };
+}
+
+export function isCalibrationProfile(data) {
+    return data?.type === CALIBRATION_PROFILE_TYPE && typeof data.thresholds === 'object' &&
+        Object.entries(data.thresholds).every(([key, value]) => key in DEFAULT_THRESHOLDS && Number.isFinite(value));
+}
+
+// Names come from voice, the URL and the config alike, so "Sam " and "sam" are the same profile
+export function normalizeProfileName(name) {
+    return String(name ?? '').trim().toLowerCase();
+}
+
+// Every name passed in is normalised here, so callers may hand over names as typed or spoken
+export class CalibrationStore {
+    constructor(storage = openLocalStorage()) {
+        this.storage = storage;
+    }
+
+    list() {
+        const names = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(STORAGE_PREFIX)) names.push(key.slice(STORAGE_PREFIX.length));
+        }
+        return names.sort();
+    }
+
+    save(profile) {
+        const name = normalizeProfileName(profile.name);
+        this.storage.setItem(STORAGE_PREFIX + name, JSON.stringify({ ...profile, name }));
+    }
+
+    load(name) {
+        const raw = this.storage.getItem(STORAGE_PREFIX + normalizeProfileName(name));
+        if (!raw) return null;
+        try {
+            const profile = JSON.parse(raw);
+            return isCalibrationProfile(profile) ? profile : null;
+        } catch (error) {
+            console.error(`Stored calibration "${name}" is corrupt:`, error);
+            return null;
+        }
+    }
+
+    remove(name) {
+        const key = normalizeProfileName(name);
+        this.storage.removeItem(STORAGE_PREFIX + key);
+        if (this.activeName === key) this.activeName = null;
+    }
+
+    // The profile used on the next visit
+    get activeName() {
+        return this.storage.getItem(ACTIVE_PROFILE_KEY);
+    }
+
+    set activeName(name) {
+        if (normalizeProfileName(name)) this.storage.setItem(ACTIVE_PROFILE_KEY, normalizeProfileName(name));
+        else this.storage.removeItem(ACTIVE_PROFILE_KEY);
+    }
+}
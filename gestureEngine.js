@@ -0,0 +1,313 @@
+// Declarative hand gesture recognition over MediaPipe hand landmarks, emitting start/update/end events
+
+export const LANDMARKS = {
+    wrist: 0,
+    thumbCmc: 1, thumbMcp: 2, thumbIp: 3, thumbTip: 4,
+    indexMcp: 5, indexPip: 6, indexDip: 7, indexTip: 8,
+    middleMcp: 9, middlePip: 10, middleDip: 11, middleTip: 12,
+    ringMcp: 13, ringPip: 14, ringDip: 15, ringTip: 16,
+    pinkyMcp: 17, pinkyPip: 18, pinkyDip: 19, pinkyTip: 20
+};
+
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Thresholds in palm lengths (wrist to middle knuckle); a calibration profile can replace them.
+// Fingers measure tip to wrist and the thumb tip to index knuckle; values between the curled and
+// extended thresholds are neither state.
+export const DEFAULT_THRESHOLDS = {
+    pinch: 0.35,
+    thumbCurled: 0.5,
+    thumbExtended: 0.7,
+    fingerCurled: 0.75,
+    fingerExtended: 1.3
+};
+
+const DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+const MOTION_WINDOW_MS = 200;
+
+// Built-in gestures. Every condition is optional:
+//   fingers          required finger states ('extended' | 'curled'); fingerTolerance fingers may miss
+//   distances        [{ between: [a, b], below?, above? }] in palm lengths, or named thresholds
+//   directions       [{ from, to, toward: 'up' | 'down' | 'left' | 'right', minCos }] in camera image space
+//   motion           { landmark, axis?: 'x' | 'y', sign?: 1 | -1, minSpeed } in palm lengths per second
+//   holdMs           how long the conditions must hold before the gesture starts
+//   releaseMs        how long they may lapse before it ends
+//   cooldownMs       minimum gap before the gesture can start again
+//   hysteresis       fraction by which thresholds loosen once the gesture is active
+//   anchor           landmarks averaged into the event's point
+export const GESTURES = {
+    pinch: {
+        distances: [{ between: ['thumbTip', 'indexTip'], below: 'pinch' }],
+        hysteresis: 0.3,
+        anchor: ['thumbTip', 'indexTip']
+    },
+    fist: {
+        fingers: { index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' },
+        fingerTolerance: 1,
+        hysteresis: 0.1,
+        anchor: ['wrist']
+    },
+    openPalm: {
+        fingers: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'extended' },
+        fingerTolerance: 1,
+        hysteresis: 0.1,
+        releaseMs: 100,
+        anchor: ['wrist']
+    },
+    twoFingers: {
+        fingers: { index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' },
+        hysteresis: 0.1,
+        releaseMs: 100,
+        anchor: ['indexTip', 'middleTip']
+    },
+    point: {
+        fingers: { index: 'extended', middle: 'curled', ring: 'curled', pinky: 'curled' },
+        hysteresis: 0.1,
+        holdMs: 150,
+        anchor: ['indexTip']
+    },
+    thumbsUp: {
+        fingers: { thumb: 'extended', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' },
+        directions: [{ from: 'thumbMcp', to: 'thumbTip', toward: 'up', minCos: 0.7 }],
+        holdMs: 300,
+        anchor: ['thumbTip']
+    },
+    // Three fingers with the thumb and pinky folded. openPalm lets one finger miss, so with only the pinky
+    // folded a fast open-palm pan or time scrub would also be a swipe; two folded fingers never are.
+    swipe: {
+        fingers: { thumb: 'curled', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'curled' },
+        motion: { landmark: 'wrist', axis: 'x', minSpeed: 4 },
+        releaseMs: 80,
+        cooldownMs: 500,
+        anchor: ['wrist']
+    }
+};
+
+export class GestureEngine {
+    constructor(definitions = GESTURES) {
+        this.definitions = new Map();
+        this.listeners = new Map();
+        // Per hand: gesture states plus recent wrist positions for motion
+        this.hands = new Map();
+        // Landmark x is normalised to the image width and y to its height; this makes distances square
+        this.aspectRatio = 1;
+        this.thresholds = { ...DEFAULT_THRESHOLDS };
+        Object.entries(definitions).forEach(([name, definition]) => this.define(name, definition));
+    }
+
+    define(name, definition) {
+        this.definitions.set(name, { fingerTolerance: 0, holdMs: 0, releaseMs: 0, cooldownMs: 0, hysteresis: 0, ...definition });
+    }
+
+    // Overrides named thresholds, e.g. from a calibration profile; omitted ones fall back to the defaults
+    setThresholds(thresholds = {}) {
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    }
+
+    // handlers: { start?, update?, end? }, each called with the gesture event. Returns an unsubscribe function.
+    on(name, handlers) {
+        if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+        this.listeners.get(name).add(handlers);
+        return () => this.listeners.get(name).delete(handlers);
+    }
+
+    isActive(handIndex, name) {
+        return !!this.hands.get(handIndex)?.states.get(name)?.active;
+    }
+
+    update(handIndex, landmarks, now = performance.now()) {
+        if (!landmarks || landmarks.length <= LANDMARKS.pinkyTip) {
+            this.releaseHand(handIndex, now);
+            return;
+        }
+
+        const hand = this._getHand(handIndex);
+        const frame = this._measure(hand, landmarks, now);
+        if (!frame) return;
+
+        this.definitions.forEach((definition, name) => {
+            if (!hand.states.has(name)) hand.states.set(name, { active: false, matchedSince: null, lastMatch: -Infinity, startTime: 0, cooldownUntil: 0 });
+            const state = hand.states.get(name);
+            const matched = this._matches(definition, frame, state.active);
+
+            if (matched) {
+                state.matchedSince ??= now;
+                state.lastMatch = now;
+            } else {
+                state.matchedSince = null;
+            }
+
+            if (!state.active) {
+                if (matched && now - state.matchedSince >= definition.holdMs && now >= state.cooldownUntil) {
+                    state.active = true;
+                    state.startTime = now;
+                    this._emit(name, 'start', handIndex, frame, state, now);
+                }
+            } else if (matched || now - state.lastMatch < definition.releaseMs) {
+                this._emit(name, 'update', handIndex, frame, state, now);
+            } else {
+                this._end(name, handIndex, frame, state, now, definition);
+            }
+        });
+    }
+
+    // Ends every active gesture of a hand, e.g. when it leaves the camera
+    releaseHand(handIndex, now = performance.now()) {
+        const hand = this.hands.get(handIndex);
+        if (!hand) return;
+        hand.states.forEach((state, name) => {
+            if (state.active) this._end(name, handIndex, hand.lastFrame, state, now, this.definitions.get(name));
+        });
+        this.hands.delete(handIndex);
+    }
+
+    // Ends every active gesture on every hand so listeners can clean up before they unsubscribe
+    endAll(now = performance.now()) {
+        Array.from(this.hands.keys()).forEach(handIndex => this.releaseHand(handIndex, now));
+    }
+
+    _getHand(handIndex) {
+        if (!this.hands.has(handIndex)) this.hands.set(handIndex, { states: new Map(), history: [], lastFrame: null });
+        return this.hands.get(handIndex);
+    }
+
+    // Landmarks in square units, palm length, finger states and wrist velocity for one frame
+    _measure(hand, landmarks, now) {
+        const points = toSquarePoints(landmarks, this.aspectRatio);
+        const palm = distance(points[LANDMARKS.wrist], points[LANDMARKS.middleMcp]);
+        if (!palm) return null;
+
+        hand.history.push({ time: now, points });
+        while (hand.history.length > 2 && now - hand.history[0].time > MOTION_WINDOW_MS) hand.history.shift();
+
+        const frame = { landmarks, points, palm, history: hand.history };
+        frame.velocity = this._velocity(frame, 'wrist');
+        hand.lastFrame = frame;
+        return frame;
+    }
+
+    // Palm lengths per second over the motion window
+    _velocity({ history, palm }, landmark) {
+        const first = history[0];
+        const last = history[history.length - 1];
+        const seconds = (last.time - first.time) / 1000;
+        if (!seconds) return { x: 0, y: 0 };
+        const index = LANDMARKS[landmark];
+        return {
+            x: (last.points[index].x - first.points[index].x) / palm / seconds,
+            y: (last.points[index].y - first.points[index].y) / palm / seconds
+        };
+    }
+
+    _fingerMatches(finger, wanted, frame, looseness) {
+        const ratio = fingerRatio(frame.points, frame.palm, finger);
+        const prefix = finger === 'thumb' ? 'thumb' : 'finger';
+        return wanted === 'curled' ?
+            ratio < this.thresholds[`${prefix}Curled`] * looseness :
+            ratio > this.thresholds[`${prefix}Extended`] / looseness;
+    }
+
+    _threshold(value) {
+        return typeof value === 'string' ? this.thresholds[value] : value;
+    }
+
+    _matches(definition, frame, isActive) {
+        const looseness = isActive ? 1 + definition.hysteresis : 1;
+        const { points, palm } = frame;
+
+        if (definition.fingers) {
+            const misses = FINGERS.filter(finger => definition.fingers[finger] &&
+                !this._fingerMatches(finger, definition.fingers[finger], frame, looseness)).length;
+            if (misses > definition.fingerTolerance) return false;
+        }
+
+        const distancesMatch = (definition.distances || []).every(({ between: [a, b], below, above }) => {
+            const d = distance(points[LANDMARKS[a]], points[LANDMARKS[b]]) / palm;
+            return (below === undefined || d < this._threshold(below) * looseness) &&
+                (above === undefined || d > this._threshold(above) / looseness);
+        });
+        if (!distancesMatch) return false;
+
+        const directionsMatch = (definition.directions || []).every(({ from, to, toward, minCos = 0.7 }) => {
+            const dx = points[LANDMARKS[to]].x - points[LANDMARKS[from]].x;
+            const dy = points[LANDMARKS[to]].y - points[LANDMARKS[from]].y;
+            const length = Math.hypot(dx, dy);
+            const direction = DIRECTIONS[toward];
+            return length > 0 && (dx * direction.x + dy * direction.y) / length >= minCos / looseness;
+        });
+        if (!directionsMatch) return false;
+
+        if (definition.motion) {
+            const { landmark = 'wrist', axis, sign, minSpeed } = definition.motion;
+            const velocity = landmark === 'wrist' ? frame.velocity : this._velocity(frame, landmark);
+            const speed = axis ? velocity[axis] * (sign || Math.sign(velocity[axis])) : Math.hypot(velocity.x, velocity.y);
+            if (!(speed >= minSpeed / looseness)) return false;
+        }
+        return true;
+    }
+
+    _end(name, handIndex, frame, state, now, definition) {
+        state.active = false;
+        state.matchedSince = null;
+        state.cooldownUntil = now + (definition?.cooldownMs || 0);
+        this._emit(name, 'end', handIndex, frame, state, now);
+    }
+
+    _emit(name, phase, handIndex, frame, state, now) {
+        const listeners = this.listeners.get(name);
+        if (!listeners?.size) return;
+
+        const anchor = this.definitions.get(name)?.anchor || ['wrist'];
+        const event = {
+            gesture: name,
+            phase,
+            handIndex,
+            landmarks: frame?.landmarks || null,
+            // Mean of the anchor landmarks in the original normalised image coordinates
+            point: frame ? averageLandmarks(anchor.map(key => frame.landmarks[LANDMARKS[key]])) : null,
+            velocity: frame?.velocity || { x: 0, y: 0 },
+            // Wrist to middle knuckle in square image units; shrinks as the hand moves away from the camera
+            palm: frame?.palm ?? null,
+            startTime: state.startTime,
+            duration: now - state.startTime
+        };
+        Array.from(listeners).forEach(handlers => handlers[phase]?.(event));
+    }
+}
+
+// The ratios the thresholds apply to, for calibration; null when the hand is incomplete
+export function measureHand(landmarks, aspectRatio = 1) {
+    if (!landmarks || landmarks.length <= LANDMARKS.pinkyTip) return null;
+    const points = toSquarePoints(landmarks, aspectRatio);
+    const palm = distance(points[LANDMARKS.wrist], points[LANDMARKS.middleMcp]);
+    if (!palm) return null;
+
+    const measurement = { pinch: distance(points[LANDMARKS.thumbTip], points[LANDMARKS.indexTip]) / palm };
+    FINGERS.forEach(finger => { measurement[finger] = fingerRatio(points, palm, finger); });
+    return measurement;
+}
+
+function toSquarePoints(landmarks, aspectRatio) {
+    return landmarks.map(lm => ({ x: lm.x * aspectRatio, y: lm.y, z: (lm.z || 0) * aspectRatio }));
+}
+
+function fingerRatio(points, palm, finger) {
+    return finger === 'thumb' ?
+        distance(points[LANDMARKS.thumbTip], points[LANDMARKS.indexMcp]) / palm :
+        distance(points[LANDMARKS[`${finger}Tip`]], points[LANDMARKS.wrist]) / palm;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+}
+
+function averageLandmarks(landmarks) {
+    const sum = landmarks.reduce((acc, lm) => ({ x: acc.x + lm.x, y: acc.y + lm.y, z: acc.z + (lm.z || 0) }), { x: 0, y: 0, z: 0 });
+    return { x: sum.x / landmarks.length, y: sum.y / landmarks.length, z: sum.z / landmarks.length };
+}
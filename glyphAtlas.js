@@ -0,0 +1,86 @@
+// Canvas glyph atlas and text meshes for labels rendered inside the WebGL scene
+
+import * as THREE from 'three';
+
+const CELL_WIDTH = 32;
+const CELL_HEIGHT = 48;
+const COLUMNS = 32;
+const ROWS = 32;
+const FONT = `bold ${CELL_HEIGHT * 0.66}px Arial, sans-serif`;
+
+export class GlyphAtlas {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = CELL_WIDTH * COLUMNS;
+        this.canvas.height = CELL_HEIGHT * ROWS;
+        this.context = this.canvas.getContext('2d');
+        this.context.font = FONT;
+        this.context.textBaseline = 'middle';
+        this.context.fillStyle = 'white';
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.glyphs = new Map();
+
+        // Printable ASCII up front; anything else is added the first time it is seen
+        for (let code = 32; code < 127; code++) this._addGlyph(String.fromCharCode(code));
+    }
+
+    getGlyph(char) {
+        return this.glyphs.get(char) || this._addGlyph(char) || this.glyphs.get('?');
+    }
+
+    // Returns a geometry of one quad per character, one world unit tall, centred on the origin
+    createTextGeometry(text) {
+        const glyphs = Array.from(text).map(char => this.getGlyph(char));
+        const totalWidth = glyphs.reduce((sum, glyph) => sum + glyph.advance, 0);
+
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+        let cursor = -totalWidth / 2;
+
+        glyphs.forEach((glyph, i) => {
+            const x0 = cursor;
+            const x1 = cursor + glyph.advance;
+            positions.push(x0, -0.5, 0, x1, -0.5, 0, x1, 0.5, 0, x0, 0.5, 0);
+            uvs.push(glyph.u0, glyph.v0, glyph.u1, glyph.v0, glyph.u1, glyph.v1, glyph.u0, glyph.v1);
+            const base = i * 4;
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+            cursor = x1;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.userData.width = totalWidth;
+        return geometry;
+    }
+
+    _addGlyph(char) {
+        const slot = this.glyphs.size;
+        if (slot >= COLUMNS * ROWS) return null;
+
+        const column = slot % COLUMNS;
+        const row = Math.floor(slot / COLUMNS);
+        const x = column * CELL_WIDTH;
+        const y = row * CELL_HEIGHT;
+        const width = Math.min(CELL_WIDTH, Math.ceil(this.context.measureText(char).width) + 2);
+
+        this.context.clearRect(x, y, CELL_WIDTH, CELL_HEIGHT);
+        this.context.fillText(char, x + 1, y + CELL_HEIGHT / 2);
+        this.texture.needsUpdate = true;
+
+        // UV v runs bottom-up while canvas y runs top-down
+        const glyph = {
+            advance: width / CELL_HEIGHT,
+            u0: x / this.canvas.width,
+            u1: (x + width) / this.canvas.width,
+            v0: 1 - (y + CELL_HEIGHT) / this.canvas.height,
+            v1: 1 - y / this.canvas.height
+        };
+        this.glyphs.set(char, glyph);
+        return glyph;
+    }
+}
@@ -0,0 +1,127 @@
+// Path queries over { nodes, links } graph data. Links are treated as undirected.
+
+import { linkEndpointId } from './graphUtils.js';
+
+// Strong links (high value) count as short when paths are weighted
+const linkCost = (link, weighted) => weighted ? 1 / Math.max(link.value || 1, 1e-6) : 1;
+
+function buildIncidence(graphData) {
+    const incidence = new Map(graphData.nodes.map(node => [node.id, []]));
+    graphData.links.forEach(link => {
+        const sourceId = linkEndpointId(link.source);
+        const targetId = linkEndpointId(link.target);
+        incidence.get(sourceId)?.push({ neighbour: targetId, link });
+        incidence.get(targetId)?.push({ neighbour: sourceId, link });
+    });
+    return incidence;
+}
+
+// Minimal binary heap keyed on priority
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+// Returns { nodeIds, links, cost } for the shortest path, or null when the nodes are not connected
+export function shortestPath(graphData, sourceId, targetId, { weighted = false } = {}) {
+    const incidence = buildIncidence(graphData);
+    if (!incidence.has(sourceId) || !incidence.has(targetId)) return null;
+
+    const distances = new Map([[sourceId, 0]]);
+    const previous = new Map();
+    const heap = new MinHeap();
+    heap.push(sourceId, 0);
+
+    while (heap.size) {
+        const { value: current, priority } = heap.pop();
+        if (priority > distances.get(current)) continue;
+        if (current === targetId) break;
+
+        incidence.get(current).forEach(({ neighbour, link }) => {
+            const distance = priority + linkCost(link, weighted);
+            if (distance < (distances.get(neighbour) ?? Infinity)) {
+                distances.set(neighbour, distance);
+                previous.set(neighbour, { id: current, link });
+                heap.push(neighbour, distance);
+            }
+        });
+    }
+
+    if (!distances.has(targetId)) return null;
+
+    const nodeIds = [targetId];
+    const links = [];
+    let step = targetId;
+    while (step !== sourceId) {
+        const { id, link } = previous.get(step);
+        links.unshift(link);
+        nodeIds.unshift(id);
+        step = id;
+    }
+    return { nodeIds, links, cost: distances.get(targetId) };
+}
+
+// Breadth-first neighbourhood: Map of node id -> hop distance for every node within `hops` of the start
+// (one id or several), plus the links between those nodes
+export function kHopNeighbourhood(graphData, startIds, hops = 1) {
+    const incidence = buildIncidence(graphData);
+    const distances = new Map();
+    let frontier = [].concat(startIds).filter(id => incidence.has(id));
+    if (!frontier.length) return { distances, links: new Set() };
+
+    frontier.forEach(id => distances.set(id, 0));
+    for (let hop = 1; hop <= hops && frontier.length; hop++) {
+        const next = [];
+        frontier.forEach(id => {
+            incidence.get(id).forEach(({ neighbour }) => {
+                if (distances.has(neighbour) || !incidence.has(neighbour)) return;
+                distances.set(neighbour, hop);
+                next.push(neighbour);
+            });
+        });
+        frontier = next;
+    }
+
+    const links = new Set(graphData.links.filter(link =>
+        distances.has(linkEndpointId(link.source)) && distances.has(linkEndpointId(link.target))
+    ));
+    return { distances, links };
+}
@@ -0,0 +1,221 @@
+// Centrality and community detection over { nodes, links } graph data (links treated as undirected)
+
+import { linkEndpointId } from './graphUtils.js';
+
+export const METRICS = ['group', 'degree', 'betweenness', 'pagerank', 'community'];
+
+function buildWeightedAdjacency(graphData) {
+    const adjacency = new Map(graphData.nodes.map(node => [node.id, new Map()]));
+    graphData.links.forEach(link => {
+        const sourceId = linkEndpointId(link.source);
+        const targetId = linkEndpointId(link.target);
+        if (sourceId === targetId || !adjacency.has(sourceId) || !adjacency.has(targetId)) return;
+        const weight = link.value || 1;
+        adjacency.get(sourceId).set(targetId, (adjacency.get(sourceId).get(targetId) || 0) + weight);
+        adjacency.get(targetId).set(sourceId, (adjacency.get(targetId).get(sourceId) || 0) + weight);
+    });
+    return adjacency;
+}
+
+export function degreeCentrality(graphData) {
+    const adjacency = buildWeightedAdjacency(graphData);
+    return new Map(Array.from(adjacency, ([id, neighbours]) => [id, neighbours.size]));
+}
+
+// Brandes' algorithm on the unweighted graph
+export function betweennessCentrality(graphData) {
+    const adjacency = buildWeightedAdjacency(graphData);
+    const ids = Array.from(adjacency.keys());
+    const centrality = new Map(ids.map(id => [id, 0]));
+
+    ids.forEach(source => {
+        const stack = [];
+        const predecessors = new Map(ids.map(id => [id, []]));
+        const pathCounts = new Map(ids.map(id => [id, 0]));
+        const distances = new Map([[source, 0]]);
+        pathCounts.set(source, 1);
+
+        const queue = [source];
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            stack.push(current);
+            adjacency.get(current).forEach((_, neighbour) => {
+                if (!distances.has(neighbour)) {
+                    distances.set(neighbour, distances.get(current) + 1);
+                    queue.push(neighbour);
+                }
+                if (distances.get(neighbour) === distances.get(current) + 1) {
+                    pathCounts.set(neighbour, pathCounts.get(neighbour) + pathCounts.get(current));
+                    predecessors.get(neighbour).push(current);
+                }
+            });
+        }
+
+        const dependency = new Map(ids.map(id => [id, 0]));
+        while (stack.length) {
+            const node = stack.pop();
+            predecessors.get(node).forEach(predecessor => {
+                const share = pathCounts.get(predecessor) / pathCounts.get(node) * (1 + dependency.get(node));
+                dependency.set(predecessor, dependency.get(predecessor) + share);
+            });
+            if (node !== source) centrality.set(node, centrality.get(node) + dependency.get(node));
+        }
+    });
+
+    // Each undirected path was counted from both ends
+    centrality.forEach((value, id) => centrality.set(id, value / 2));
+    return centrality;
+}
+
+// Power iteration with link values as weights
+export function pageRank(graphData, { damping = 0.85, iterations = 100, tolerance = 1e-6 } = {}) {
+    const adjacency = buildWeightedAdjacency(graphData);
+    const ids = Array.from(adjacency.keys());
+    const count = ids.length;
+    if (!count) return new Map();
+
+    const strength = new Map(ids.map(id => [id, Array.from(adjacency.get(id).values()).reduce((a, b) => a + b, 0)]));
+    let ranks = new Map(ids.map(id => [id, 1 / count]));
+
+    for (let i = 0; i < iterations; i++) {
+        // Rank held by isolated nodes is spread evenly so the total stays 1
+        const danglingRank = ids.filter(id => strength.get(id) === 0).reduce((sum, id) => sum + ranks.get(id), 0);
+        const base = (1 - damping) / count + damping * danglingRank / count;
+        const next = new Map(ids.map(id => [id, base]));
+
+        ids.forEach(id => {
+            const total = strength.get(id);
+            if (!total) return;
+            adjacency.get(id).forEach((weight, neighbour) => {
+                next.set(neighbour, next.get(neighbour) + damping * ranks.get(id) * weight / total);
+            });
+        });
+
+        const change = ids.reduce((sum, id) => sum + Math.abs(next.get(id) - ranks.get(id)), 0);
+        ranks = next;
+        if (change < tolerance) break;
+    }
+    return ranks;
+}
+
+// Louvain modularity optimisation with link values as weights. Returns node id -> community index.
+export function louvainCommunities(graphData, { maxPasses = 10 } = {}) {
+    let adjacency = buildWeightedAdjacency(graphData);
+    // Which current super-node each original node belongs to
+    let membership = new Map(Array.from(adjacency.keys(), id => [id, id]));
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        const { communities, improved } = louvainLocalMoves(adjacency);
+        if (!improved) break;
+
+        membership = new Map(Array.from(membership, ([id, superNode]) => [id, communities.get(superNode)]));
+        adjacency = aggregateCommunities(adjacency, communities);
+    }
+
+    // Renumber communities 0..n-1, largest first, so colours are stable between runs
+    const sizes = new Map();
+    membership.forEach(community => sizes.set(community, (sizes.get(community) || 0) + 1));
+    const order = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a));
+    const index = new Map(order.map((community, i) => [community, i]));
+    return new Map(Array.from(membership, ([id, community]) => [id, index.get(community)]));
+}
+
+function louvainLocalMoves(adjacency) {
+    const ids = Array.from(adjacency.keys());
+    const communities = new Map(ids.map(id => [id, id]));
+    const nodeStrength = new Map();
+    let totalWeight = 0;
+
+    ids.forEach(id => {
+        let strength = 0;
+        adjacency.get(id).forEach((weight, neighbour) => {
+            // Self loops from aggregation count twice towards a node's strength
+            strength += neighbour === id ? 2 * weight : weight;
+        });
+        nodeStrength.set(id, strength);
+        totalWeight += strength;
+    });
+    const m2 = totalWeight;
+    if (!m2) return { communities, improved: false };
+
+    const communityStrength = new Map(ids.map(id => [id, nodeStrength.get(id)]));
+    let improved = false;
+    let moved = true;
+
+    while (moved) {
+        moved = false;
+        ids.forEach(id => {
+            const current = communities.get(id);
+            const strength = nodeStrength.get(id);
+
+            // Weight from this node into each neighbouring community
+            const weightsTo = new Map();
+            adjacency.get(id).forEach((weight, neighbour) => {
+                if (neighbour === id) return;
+                const community = communities.get(neighbour);
+                weightsTo.set(community, (weightsTo.get(community) || 0) + weight);
+            });
+
+            communityStrength.set(current, communityStrength.get(current) - strength);
+            const gain = community => (weightsTo.get(community) || 0) - communityStrength.get(community) * strength / m2;
+
+            let best = current;
+            let bestGain = gain(current);
+            weightsTo.forEach((_, community) => {
+                const candidateGain = gain(community);
+                if (candidateGain > bestGain + 1e-12) {
+                    bestGain = candidateGain;
+                    best = community;
+                }
+            });
+
+            communityStrength.set(best, communityStrength.get(best) + strength);
+            if (best !== current) {
+                communities.set(id, best);
+                moved = true;
+                improved = true;
+            }
+        });
+    }
+
+    return { communities, improved };
+}
+
+function aggregateCommunities(adjacency, communities) {
+    const aggregated = new Map();
+    communities.forEach(community => {
+        if (!aggregated.has(community)) aggregated.set(community, new Map());
+    });
+    adjacency.forEach((neighbours, id) => {
+        const from = communities.get(id);
+        neighbours.forEach((weight, neighbour) => {
+            const to = communities.get(neighbour);
+            // Each undirected edge is seen from both ends; halve it except for existing self loops
+            const share = neighbour === id ? weight : weight / 2;
+            const row = aggregated.get(from);
+            row.set(to, (row.get(to) || 0) + share);
+            if (from !== to) {
+                const back = aggregated.get(to);
+                back.set(from, (back.get(from) || 0) + share);
+            }
+        });
+    });
+    return aggregated;
+}
+
+// Computes one metric for every node; 'group' is read straight from the data
+export function computeMetric(graphData, metric) {
+    switch (metric) {
+        case 'group': return new Map(graphData.nodes.map(node => [node.id, node.group]));
+        case 'degree': return degreeCentrality(graphData);
+        case 'betweenness': return betweennessCentrality(graphData);
+        case 'pagerank': return pageRank(graphData);
+        case 'community': return louvainCommunities(graphData);
+        default: throw new Error(`Unknown metric "${metric}"`);
+    }
+}
+
+// Categorical metrics map to colours per value; the rest are continuous
+export function isCategoricalMetric(metric) {
+    return metric === 'group' || metric === 'community';
+}
@@ -0,0 +1,162 @@
+// Graph dataset loading and validation
+
+import { detectFormat, importGraph } from './graphImporters.js';
+import { parseTimestamp } from './timeline.js';
+
+export const DEFAULT_GRAPH_URL = 'assets/data.json';
+const MAX_REPORTED_PROBLEMS = 3;
+
+export class GraphDataError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'GraphDataError';
+        this.problems = problems;
+    }
+}
+
+// Returns a list of human readable problems; an empty list means the data is usable
+export function validateGraphData(data) {
+    const problems = [];
+
+    if (!data || typeof data !== 'object') {
+        return ['Graph data must be an object with "nodes" and "links" arrays'];
+    }
+    if (!Array.isArray(data.nodes)) problems.push('Missing "nodes" array');
+    if (!Array.isArray(data.links)) problems.push('Missing "links" array');
+    if (problems.length) return problems;
+
+    const ids = new Set();
+    data.nodes.forEach((node, i) => {
+        const nodeProblems = validateNode(node, i);
+        problems.push(...nodeProblems);
+        if (!isValidNodeId(node?.id)) return;
+        if (ids.has(node.id)) {
+            problems.push(`Duplicate node id "${node.id}"`);
+        }
+        ids.add(node.id);
+    });
+
+    data.links.forEach((link, i) => {
+        if (!link || typeof link !== 'object') {
+            problems.push(`Link ${i} is not an object`);
+            return;
+        }
+        ['source', 'target'].forEach(end => {
+            const endId = typeof link[end] === 'object' && link[end] !== null ? link[end].id : link[end];
+            if (endId === undefined || endId === null) {
+                problems.push(`Link ${i} has no "${end}"`);
+            } else if (!ids.has(endId)) {
+                problems.push(`Link ${i} ${end} "${endId}" does not match any node`);
+            }
+        });
+        if (link.value !== undefined && !Number.isFinite(link.value)) {
+            problems.push(`Link ${i} has a non-numeric "value"`);
+        }
+        problems.push(...validateTimeSpan(link, `Link ${i}`));
+    });
+
+    return problems;
+}
+
+function isValidNodeId(id) {
+    return typeof id === 'string' || typeof id === 'number';
+}
+
+// Problems with a single node, apart from duplicate ids; i only names nodes without a usable id
+export function validateNode(node, i = 0) {
+    if (!node || typeof node !== 'object') return [`Node ${i} is not an object`];
+    if (!isValidNodeId(node.id)) return [`Node ${i} has no valid "id"`];
+
+    const problems = [];
+    if (node.group === undefined || node.group === null) {
+        problems.push(`Node "${node.id}" has no "group"`);
+    }
+    // Optional metadata shown in the node detail card
+    ['name', 'image', 'description'].forEach(field => {
+        if (node[field] !== undefined && typeof node[field] !== 'string') {
+            problems.push(`Node "${node.id}" field "${field}" must be a string`);
+        }
+    });
+    if (node.attributes !== undefined && (typeof node.attributes !== 'object' || Array.isArray(node.attributes))) {
+        problems.push(`Node "${node.id}" "attributes" must be an object of key/values`);
+    }
+    problems.push(...validateTimeSpan(node, `Node "${node.id}"`));
+    return problems;
+}
+
+// Optional "start"/"end" timestamps: a year, epoch milliseconds or a date string
+function validateTimeSpan(item, description) {
+    const problems = [];
+    const start = parseTimestamp(item.start);
+    const end = parseTimestamp(item.end);
+    if (Number.isNaN(start)) problems.push(`${description} has an unreadable "start" timestamp`);
+    if (Number.isNaN(end)) problems.push(`${description} has an unreadable "end" timestamp`);
+    if (Number.isFinite(start) && Number.isFinite(end) && start > end) {
+        problems.push(`${description} ends before it starts`);
+    }
+    return problems;
+}
+
+export function assertValidGraphData(data, sourceName = 'graph data') {
+    const problems = validateGraphData(data);
+    if (problems.length) {
+        const shown = problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ');
+        const more = problems.length > MAX_REPORTED_PROBLEMS ? ` (+${problems.length - MAX_REPORTED_PROBLEMS} more)` : '';
+        throw new GraphDataError(`Invalid ${sourceName}: ${shown}${more}`, problems);
+    }
+    return data;
+}
+
+export class GraphDataSource {
+    // config: { data, dataUrl, queryParam, streamUrl, streamQueryParam }
+    constructor(config = {}) {
+        this.inlineData = config.data || null;
+        this.dataUrl = config.dataUrl || DEFAULT_GRAPH_URL;
+        this.queryParam = config.queryParam || 'data';
+        this.streamUrl = config.streamUrl || null;
+        this.streamQueryParam = config.streamQueryParam || 'stream';
+    }
+
+    // Query parameter wins over the config object so a dataset can be swapped without code changes
+    resolve(location = window.location) {
+        const fromQuery = new URLSearchParams(location.search).get(this.queryParam);
+        if (fromQuery) return { type: 'url', url: fromQuery, name: fromQuery };
+        if (this.inlineData) return { type: 'inline', data: this.inlineData, name: 'inline config data' };
+        return { type: 'url', url: this.dataUrl, name: this.dataUrl };
+    }
+
+    // Optional live patch feed, resolved the same way as the dataset
+    resolveStreamUrl(location = window.location) {
+        return new URLSearchParams(location.search).get(this.streamQueryParam) || this.streamUrl;
+    }
+
+    async load() {
+        const source = this.resolve();
+        if (source.type === 'inline') {
+            return assertValidGraphData(structuredClone(source.data), source.name);
+        }
+
+        let response;
+        try {
+            response = await fetch(source.url);
+        } catch (error) {
+            throw new GraphDataError(`Could not fetch ${source.name}: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new GraphDataError(`Could not fetch ${source.name}: HTTP ${response.status}`);
+        }
+        return this.parse(await response.text(), source.name);
+    }
+
+    // Format comes from the file extension, falling back to sniffing the content
+    parse(text, sourceName) {
+        const format = detectFormat(sourceName, text);
+        let data;
+        try {
+            data = importGraph(text, format);
+        } catch (error) {
+            throw new GraphDataError(`${sourceName} is not valid ${format.toUpperCase()}: ${error.message}`);
+        }
+        return assertValidGraphData(data, sourceName);
+    }
+}
@@ -0,0 +1,79 @@
+// View filters over { nodes, links } graph data: hidden groups and nodes, a minimum link weight and unlinked nodes
+
+import { linkEndpointId } from './graphUtils.js';
+
+// Links at or above the upper quartile of weights count as strong
+export function strongLinkThreshold(links) {
+    const values = links.map(link => link.value ?? 1).sort((a, b) => a - b);
+    if (!values.length) return 0;
+    return values[Math.floor(values.length * 0.75)];
+}
+
+export class GraphFilter {
+    constructor() {
+        this.hiddenGroups = new Set();
+        this.hiddenNodeIds = new Set();
+        this.minLinkValue = 0;
+        this.hideIsolated = false;
+    }
+
+    get isActive() {
+        return this.hiddenGroups.size > 0 || this.hiddenNodeIds.size > 0 || this.minLinkValue > 0 || this.hideIsolated;
+    }
+
+    setGroupVisible(group, visible) {
+        if (visible) this.hiddenGroups.delete(group);
+        else this.hiddenGroups.add(group);
+    }
+
+    isGroupVisible(group) {
+        return !this.hiddenGroups.has(group);
+    }
+
+    setNodesVisible(ids, visible) {
+        ids.forEach(id => {
+            if (visible) this.hiddenNodeIds.delete(id);
+            else this.hiddenNodeIds.add(id);
+        });
+    }
+
+    // Plain copy of the settings, for undo
+    getState() {
+        return {
+            hiddenGroups: [...this.hiddenGroups],
+            hiddenNodeIds: [...this.hiddenNodeIds],
+            minLinkValue: this.minLinkValue,
+            hideIsolated: this.hideIsolated
+        };
+    }
+
+    setState(state) {
+        this.hiddenGroups = new Set(state.hiddenGroups);
+        this.hiddenNodeIds = new Set(state.hiddenNodeIds);
+        this.minLinkValue = state.minLinkValue;
+        this.hideIsolated = state.hideIsolated;
+    }
+
+    reset() {
+        this.hiddenGroups.clear();
+        this.hiddenNodeIds.clear();
+        this.minLinkValue = 0;
+        this.hideIsolated = false;
+    }
+
+    // New arrays holding the same node and link objects, so positions carry over between views
+    apply(graphData) {
+        const nodes = graphData.nodes.filter(node => this.isGroupVisible(node.group) && !this.hiddenNodeIds.has(node.id));
+        const visibleIds = new Set(nodes.map(node => node.id));
+        const links = graphData.links.filter(link =>
+            (link.value ?? 1) >= this.minLinkValue &&
+            visibleIds.has(linkEndpointId(link.source)) &&
+            visibleIds.has(linkEndpointId(link.target))
+        );
+
+        if (!this.hideIsolated) return { nodes, links };
+
+        const linkedIds = new Set(links.flatMap(link => [linkEndpointId(link.source), linkEndpointId(link.target)]));
+        return { nodes: nodes.filter(node => linkedIds.has(node.id)), links };
+    }
+}
@@ -0,0 +1,141 @@
+// Named emphasis layers (path, focus, search...) combined into per-node and per-link styling
+
+export const DIM_OPACITY = 0.12;
+export const FADE_MS = 350;
+
+const easeInOut = t => t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2;
+
+function nodeOpacityIn(layers, node) {
+    let opacity = 1;
+    layers.forEach(layer => {
+        if (layer.dimOthers && !layer.nodeIds.has(node.id)) opacity = Math.min(opacity, DIM_OPACITY);
+    });
+    return opacity;
+}
+
+function linkOpacityIn(layers, link) {
+    let opacity = 1;
+    layers.forEach(layer => {
+        if (layer.dimOthers && !layer.links.has(link)) opacity = Math.min(opacity, DIM_OPACITY);
+    });
+    return opacity;
+}
+
+export class GraphHighlighter {
+    constructor({ fadeMs = FADE_MS } = {}) {
+        this.layers = new Map();
+        this.fadeMs = fadeMs;
+        // Layer change being faded in: { fromLayers, previous, previousProgress, start }
+        this.transition = null;
+        this.now = 0;
+    }
+
+    get isActive() {
+        return this.layers.size > 0;
+    }
+
+    get isFading() {
+        return this.transition !== null;
+    }
+
+    // Advances fades to `now`. Returns true while opacities are still changing (including the final frame).
+    update(now = performance.now()) {
+        this.now = now;
+        if (!this.transition) return false;
+        if (this._progress(this.transition) >= 1) this.transition = null;
+        return true;
+    }
+
+    // layer: { nodeIds: Set, links: Set, dimOthers = true, color, linkColor = color, linkWidthScale = 1 }
+    setLayer(name, layer) {
+        this._beginTransition();
+        // Re-adding moves the layer to the top so its colours win
+        this.layers.delete(name);
+        this.layers.set(name, {
+            nodeIds: new Set(),
+            links: new Set(),
+            dimOthers: true,
+            color: null,
+            linkWidthScale: 1,
+            ...layer
+        });
+    }
+
+    clearLayer(name) {
+        if (!this.layers.has(name)) return false;
+        this._beginTransition();
+        return this.layers.delete(name);
+    }
+
+    clearAll() {
+        this.layers.clear();
+        this.transition = null;
+    }
+
+    hasLayer(name) {
+        return this.layers.has(name);
+    }
+
+    // Dimming layers combine, so a node outside any of them stays faded
+    getNodeOpacity(node) {
+        return this._fadedValue(nodeOpacityIn, node, this.layers, this.transition, this._progress(this.transition));
+    }
+
+    getLinkOpacity(link) {
+        return this._fadedValue(linkOpacityIn, link, this.layers, this.transition, this._progress(this.transition));
+    }
+
+    // The most recently set layer containing the node wins
+    getNodeColor(node) {
+        let color = null;
+        this.layers.forEach(layer => {
+            if (layer.color && layer.nodeIds.has(node.id)) color = layer.color;
+        });
+        return color;
+    }
+
+    getLinkColor(link) {
+        let color = null;
+        this.layers.forEach(layer => {
+            const layerColor = layer.linkColor ?? layer.color;
+            if (layerColor && layer.links.has(link)) color = layerColor;
+        });
+        return color;
+    }
+
+    getLinkWidthScale(link) {
+        let scale = 1;
+        this.layers.forEach(layer => {
+            if (layer.links.has(link)) scale = Math.max(scale, layer.linkWidthScale);
+        });
+        return scale;
+    }
+
+    // Starts fading from whatever is currently shown, even if an earlier fade is still running.
+    // Only one earlier fade is kept, frozen where it was: the one before it counts as finished, so
+    // frequent layer changes cannot build a chain that every opacity lookup has to walk.
+    _beginTransition() {
+        if (this.fadeMs <= 0) return;
+        const now = performance.now();
+        this.now = Math.max(this.now, now);
+        const progress = this._progress(this.transition);
+        this.transition = {
+            fromLayers: new Map(this.layers),
+            previous: progress < 1 ? { ...this.transition, previous: null } : null,
+            previousProgress: progress,
+            start: now
+        };
+    }
+
+    _progress(transition) {
+        if (!transition) return 1;
+        return easeInOut(Math.min(Math.max((this.now - transition.start) / this.fadeMs, 0), 1));
+    }
+
+    _fadedValue(measure, item, layers, transition, progress) {
+        const target = measure(layers, item);
+        if (!transition || progress >= 1) return target;
+        const from = this._fadedValue(measure, item, transition.fromLayers, transition.previous, transition.previousProgress);
+        return from + (target - from) * progress;
+    }
+}
@@ -0,0 +1,222 @@
+// Importers converting GraphML, GEXF and CSV edge lists to the { nodes, links } format
+
+const GROUP_ATTRIBUTE_NAMES = ['group', 'modularity_class', 'community', 'cluster', 'class', 'category'];
+const WEIGHT_ATTRIBUTE_NAMES = ['weight', 'value'];
+const LABEL_ATTRIBUTE_NAMES = ['label', 'name'];
+const START_ATTRIBUTE_NAMES = ['start', 'begin'];
+const END_ATTRIBUTE_NAMES = ['end'];
+const DEFAULT_GROUP = 0;
+const DEFAULT_VALUE = 1;
+
+export const IMPORT_FORMATS = {
+    graphml: ['.graphml', '.xml'],
+    gexf: ['.gexf'],
+    csv: ['.csv', '.tsv', '.txt'],
+    json: ['.json']
+};
+
+export function detectFormat(fileName = '', text = '') {
+    const lowerName = fileName.toLowerCase().split('?')[0];
+    const byExtension = Object.entries(IMPORT_FORMATS)
+        .find(([, extensions]) => extensions.some(ext => lowerName.endsWith(ext)));
+    if (byExtension && byExtension[0] !== 'graphml') return byExtension[0];
+
+    // .xml and unknown extensions are sniffed from the content
+    const head = text.trimStart().slice(0, 500);
+    if (head.startsWith('{')) return 'json';
+    if (/<gexf[\s>]/.test(head)) return 'gexf';
+    if (/<graphml[\s>]/.test(head)) return 'graphml';
+    return byExtension ? byExtension[0] : 'csv';
+}
+
+export function importGraph(text, format) {
+    switch (format) {
+        case 'graphml': return parseGraphML(text);
+        case 'gexf': return parseGEXF(text);
+        case 'csv': return parseCSVEdgeList(text);
+        case 'json': return JSON.parse(text);
+        default: throw new Error(`Unsupported graph format "${format}"`);
+    }
+}
+
+function parseXml(text, formatName) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const parserError = doc.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+        throw new Error(`Malformed ${formatName}: ${parserError.textContent.trim().split('\n')[0]}`);
+    }
+    return doc;
+}
+
+function coerceScalar(value) {
+    if (value === undefined || value === null) return value;
+    const trimmed = String(value).trim();
+    return trimmed !== '' && !isNaN(trimmed) ? Number(trimmed) : trimmed;
+}
+
+function pickAttribute(attributes, names) {
+    const key = Object.keys(attributes).find(name => names.includes(name.toLowerCase()));
+    return key === undefined ? undefined : attributes[key];
+}
+
+function toNode(id, attributes) {
+    const node = { id, group: coerceScalar(pickAttribute(attributes, GROUP_ATTRIBUTE_NAMES)) ?? DEFAULT_GROUP };
+    const label = pickAttribute(attributes, LABEL_ATTRIBUTE_NAMES);
+    if (label !== undefined && label !== id) node.name = label;
+    return withTimeSpan(node, attributes);
+}
+
+function toLink(source, target, attributes) {
+    const weight = coerceScalar(pickAttribute(attributes, WEIGHT_ATTRIBUTE_NAMES));
+    return withTimeSpan({ source, target, value: Number.isFinite(weight) ? weight : DEFAULT_VALUE }, attributes);
+}
+
+function withTimeSpan(item, attributes) {
+    const start = coerceScalar(pickAttribute(attributes, START_ATTRIBUTE_NAMES));
+    const end = coerceScalar(pickAttribute(attributes, END_ATTRIBUTE_NAMES));
+    if (start !== undefined && start !== '') item.start = start;
+    if (end !== undefined && end !== '') item.end = end;
+    return item;
+}
+
+export function parseGraphML(text) {
+    const doc = parseXml(text, 'GraphML');
+    const graph = doc.getElementsByTagName('graph')[0];
+    if (!graph) throw new Error('GraphML file has no <graph> element');
+
+    // <key id="d0" for="node" attr.name="group"> maps data keys to attribute names
+    const keyNames = { node: {}, edge: {} };
+    const keyDefaults = { node: {}, edge: {} };
+    Array.from(doc.getElementsByTagName('key')).forEach(key => {
+        const domain = key.getAttribute('for');
+        const targets = domain === 'all' ? ['node', 'edge'] : [domain];
+        const name = key.getAttribute('attr.name') || key.getAttribute('id');
+        const defaultEl = key.getElementsByTagName('default')[0];
+        targets.filter(t => keyNames[t]).forEach(t => {
+            keyNames[t][key.getAttribute('id')] = name;
+            if (defaultEl) keyDefaults[t][name] = defaultEl.textContent;
+        });
+    });
+
+    const readData = (element, domain) => {
+        const attributes = { ...keyDefaults[domain] };
+        Array.from(element.children)
+            .filter(child => child.tagName === 'data')
+            .forEach(data => {
+                const key = data.getAttribute('key');
+                attributes[keyNames[domain][key] || key] = data.textContent;
+            });
+        return attributes;
+    };
+
+    const nodes = Array.from(graph.getElementsByTagName('node'))
+        .map(el => toNode(el.getAttribute('id'), readData(el, 'node')));
+    const links = Array.from(graph.getElementsByTagName('edge'))
+        .map(el => toLink(el.getAttribute('source'), el.getAttribute('target'), readData(el, 'edge')));
+
+    return { nodes, links };
+}
+
+export function parseGEXF(text) {
+    const doc = parseXml(text, 'GEXF');
+    const graph = doc.getElementsByTagName('graph')[0];
+    if (!graph) throw new Error('GEXF file has no <graph> element');
+
+    // <attributes class="node"><attribute id="0" title="modularity_class"/> maps attvalue ids to titles
+    const attributeTitles = { node: {}, edge: {} };
+    Array.from(doc.getElementsByTagName('attributes')).forEach(block => {
+        const domain = block.getAttribute('class');
+        if (!attributeTitles[domain]) return;
+        Array.from(block.getElementsByTagName('attribute')).forEach(attr => {
+            attributeTitles[domain][attr.getAttribute('id')] = attr.getAttribute('title') || attr.getAttribute('id');
+        });
+    });
+
+    const readAttValues = (element, domain) => {
+        const attributes = {};
+        Array.from(element.getElementsByTagName('attvalue')).forEach(att => {
+            const key = att.getAttribute('for') || att.getAttribute('id');
+            attributes[attributeTitles[domain][key] || key] = att.getAttribute('value');
+        });
+        return attributes;
+    };
+
+    // Dynamic GEXF puts start/end on the element itself
+    const readSpan = (element, attributes) => {
+        ['start', 'end'].forEach(name => {
+            if (element.hasAttribute(name)) attributes[name] = element.getAttribute(name);
+        });
+    };
+
+    const nodes = Array.from(graph.getElementsByTagName('node')).map(el => {
+        const attributes = readAttValues(el, 'node');
+        if (el.hasAttribute('label')) attributes.label = el.getAttribute('label');
+        readSpan(el, attributes);
+        return toNode(el.getAttribute('id'), attributes);
+    });
+    const links = Array.from(graph.getElementsByTagName('edge')).map(el => {
+        const attributes = readAttValues(el, 'edge');
+        if (el.hasAttribute('weight')) attributes.weight = el.getAttribute('weight');
+        readSpan(el, attributes);
+        return toLink(el.getAttribute('source'), el.getAttribute('target'), attributes);
+    });
+
+    return { nodes, links };
+}
+
+function splitCSVLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+// Two or three columns per row: source, target, optional weight. A header row is detected and skipped.
+export function parseCSVEdgeList(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    if (!lines.length) throw new Error('CSV edge list is empty');
+
+    const delimiter = ['\t', ';', ','].find(d => lines[0].includes(d)) || ',';
+    const rows = lines.map(line => splitCSVLine(line, delimiter));
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const hasHeader = ['source', 'target', 'from', 'to', ...WEIGHT_ATTRIBUTE_NAMES].some(name => header.includes(name));
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const nodesById = new Map();
+    const links = [];
+    dataRows.forEach((row, i) => {
+        if (row.length < 2 || !row[0] || !row[1]) {
+            throw new Error(`CSV row ${i + (hasHeader ? 2 : 1)} needs at least a source and a target`);
+        }
+        const [source, target, weight] = row;
+        [source, target].forEach(id => {
+            if (!nodesById.has(id)) nodesById.set(id, { id, group: DEFAULT_GROUP });
+        });
+        links.push(toLink(source, target, weight === undefined ? {} : { weight }));
+    });
+
+    return { nodes: Array.from(nodesById.values()), links };
+}
@@ -0,0 +1,223 @@
+// Static layouts computed from { nodes, links }: each returns a Map of node id -> { x, y, z } target
+
+import { linkEndpointId, buildAdjacency, normalizeName } from './graphUtils.js';
+
+// 'force' is the free simulation and 'planar' the simulation flattened onto z = 0; the rest place every node
+export const LAYOUTS = ['force', 'radial', 'layered', 'clustered', 'sphere', 'planar'];
+export const STATIC_LAYOUTS = ['radial', 'layered', 'clustered', 'sphere'];
+// Layouts in the xy plane, best seen face on
+export const FLAT_LAYOUTS = ['radial', 'planar'];
+
+const ALIASES = {
+    force: 'force', free: 'force', default: 'force', normal: 'force', simulation: 'force',
+    radial: 'radial', rings: 'radial', ring: 'radial', circular: 'radial',
+    layered: 'layered', layers: 'layered', dag: 'layered', tree: 'layered', hierarchy: 'layered', hierarchical: 'layered',
+    clustered: 'clustered', cluster: 'clustered', clusters: 'clustered', group: 'clustered', grouped: 'clustered',
+    sphere: 'sphere', spherical: 'sphere', globe: 'sphere', ball: 'sphere',
+    planar: 'planar', plane: 'planar', flat: 'planar', '2d': 'planar', twod: 'planar'
+};
+
+// Accepts spoken variants such as "dag" or "2d"; returns undefined when nothing matches
+export function parseLayoutName(spoken) {
+    return ALIASES[normalizeName(spoken)];
+}
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+// Evenly spread points on a sphere
+function fibonacciSphere(count, radius, center = { x: 0, y: 0, z: 0 }) {
+    if (count === 1) return [{ ...center }];
+    return Array.from({ length: count }, (_, i) => {
+        const y = 1 - (i / (count - 1)) * 2;
+        const ring = Math.sqrt(1 - y * y);
+        const angle = i * GOLDEN_ANGLE;
+        return {
+            x: center.x + Math.cos(angle) * ring * radius,
+            y: center.y + y * radius,
+            z: center.z + Math.sin(angle) * ring * radius
+        };
+    });
+}
+
+function compareGroups(a, b) {
+    return (typeof a === 'number' && typeof b === 'number') ? a - b : String(a).localeCompare(String(b));
+}
+
+// Radius that gives each of `count` nodes roughly `spacing` of sphere surface
+function sphereRadius(count, spacing) {
+    return Math.sqrt(count * spacing * spacing / (4 * Math.PI));
+}
+
+// Concentric rings in the xy plane by hop distance from the focus; unreachable nodes form the outer ring
+export function radialLayout(graphData, focusId, { ringSpacing = 90, nodeSpacing = 45 } = {}) {
+    const adjacency = buildAdjacency(graphData);
+    const rings = [];
+    const hopOf = new Map();
+
+    if (adjacency.has(focusId)) {
+        hopOf.set(focusId, 0);
+        rings.push([focusId]);
+        while (rings[rings.length - 1].length) {
+            const next = [];
+            rings[rings.length - 1].forEach(id => adjacency.get(id).forEach(neighbour => {
+                if (hopOf.has(neighbour)) return;
+                hopOf.set(neighbour, rings.length);
+                next.push(neighbour);
+            }));
+            rings.push(next);
+        }
+        rings.pop();
+    }
+    const unreachable = graphData.nodes.map(node => node.id).filter(id => !hopOf.has(id));
+    if (unreachable.length) rings.push(unreachable);
+
+    const positions = new Map();
+    const angleOf = new Map();
+    let radius = 0;
+    rings.forEach((ring, hop) => {
+        if (hop === 0 && ring.length === 1 && hopOf.get(ring[0]) === 0) {
+            positions.set(ring[0], { x: 0, y: 0, z: 0 });
+            angleOf.set(ring[0], 0);
+            return;
+        }
+        // Rings grow enough to fit their nodes, and children sit near the angle of their parents
+        radius = Math.max(radius + ringSpacing, ring.length * nodeSpacing / (2 * Math.PI));
+        const parentAngle = id => {
+            const angles = Array.from(adjacency.get(id) || []).filter(n => angleOf.has(n)).map(n => angleOf.get(n));
+            return angles.length ? angles.reduce((a, b) => a + b, 0) / angles.length : Infinity;
+        };
+        const ordered = ring.map(id => ({ id, key: parentAngle(id) })).sort((a, b) => a.key - b.key);
+        ordered.forEach(({ id }, i) => {
+            const angle = (i / ordered.length) * Math.PI * 2;
+            angleOf.set(id, angle);
+            positions.set(id, { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius, z: 0 });
+        });
+    });
+    return positions;
+}
+
+// Layers top to bottom following source -> target, with cycles broken where a depth-first walk finds them.
+// Large layers wrap into a grid in the xz plane.
+export function layeredLayout(graphData, { layerSpacing = 70, nodeSpacing = 55 } = {}) {
+    const ids = graphData.nodes.map(node => node.id);
+    const outgoing = new Map(ids.map(id => [id, []]));
+    graphData.links.forEach(link => {
+        const sourceId = linkEndpointId(link.source);
+        const targetId = linkEndpointId(link.target);
+        if (sourceId !== targetId && outgoing.has(sourceId) && outgoing.has(targetId)) outgoing.get(sourceId).push(targetId);
+    });
+
+    // Drop back edges so what remains is acyclic
+    const state = new Map();
+    const acyclic = new Map(ids.map(id => [id, []]));
+    ids.forEach(root => {
+        if (state.has(root)) return;
+        const stack = [[root, 0]];
+        state.set(root, 'open');
+        while (stack.length) {
+            const frame = stack[stack.length - 1];
+            const [id, index] = frame;
+            const targets = outgoing.get(id);
+            if (index >= targets.length) {
+                state.set(id, 'done');
+                stack.pop();
+                continue;
+            }
+            frame[1]++;
+            const target = targets[index];
+            if (state.get(target) === 'open') continue;
+            acyclic.get(id).push(target);
+            if (!state.has(target)) {
+                state.set(target, 'open');
+                stack.push([target, 0]);
+            }
+        }
+    });
+
+    // Longest-path layering
+    const inDegree = new Map(ids.map(id => [id, 0]));
+    acyclic.forEach(targets => targets.forEach(target => inDegree.set(target, inDegree.get(target) + 1)));
+    const layerOf = new Map();
+    const queue = ids.filter(id => inDegree.get(id) === 0);
+    queue.forEach(id => layerOf.set(id, 0));
+    for (let head = 0; head < queue.length; head++) {
+        const id = queue[head];
+        acyclic.get(id).forEach(target => {
+            layerOf.set(target, Math.max(layerOf.get(target) || 0, layerOf.get(id) + 1));
+            inDegree.set(target, inDegree.get(target) - 1);
+            if (inDegree.get(target) === 0) queue.push(target);
+        });
+    }
+
+    const layers = [];
+    ids.forEach(id => {
+        const layer = layerOf.get(id) || 0;
+        (layers[layer] = layers[layer] || []).push(id);
+    });
+
+    // Order each layer by the mean position of its parents to cut down crossings
+    const parents = new Map(ids.map(id => [id, []]));
+    acyclic.forEach((targets, id) => targets.forEach(target => parents.get(target).push(id)));
+    const orderOf = new Map();
+    const positions = new Map();
+    layers.forEach((layer = [], depth) => {
+        const barycenter = id => {
+            const placed = parents.get(id).filter(parent => orderOf.has(parent));
+            return placed.length ? placed.reduce((sum, parent) => sum + orderOf.get(parent), 0) / placed.length : 0.5;
+        };
+        const ordered = layer.map(id => ({ id, key: barycenter(id) })).sort((a, b) => a.key - b.key);
+        const columns = Math.ceil(Math.sqrt(ordered.length * 4));
+        const rows = Math.ceil(ordered.length / columns);
+        ordered.forEach(({ id }, i) => {
+            orderOf.set(id, ordered.length > 1 ? i / (ordered.length - 1) : 0.5);
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            positions.set(id, {
+                x: (column - (Math.min(columns, ordered.length) - 1) / 2) * nodeSpacing,
+                y: ((layers.length - 1) / 2 - depth) * layerSpacing,
+                z: (row - (rows - 1) / 2) * nodeSpacing
+            });
+        });
+    });
+    return positions;
+}
+
+// One ball of nodes per group, with the balls spread over a larger sphere
+export function clusteredLayout(graphData, { nodeSpacing = 65, clusterGap = 60 } = {}) {
+    const groups = new Map();
+    graphData.nodes.forEach(node => {
+        if (!groups.has(node.group)) groups.set(node.group, []);
+        groups.get(node.group).push(node.id);
+    });
+
+    const entries = Array.from(groups).sort(([a], [b]) => compareGroups(a, b));
+    const clusterRadius = members => members.length > 1 ? Math.max(nodeSpacing, sphereRadius(members.length, nodeSpacing)) : 0;
+    const largest = Math.max(0, ...entries.map(([, members]) => clusterRadius(members)));
+    // Neighbouring centres on a Fibonacci sphere sit about 3.5 R / sqrt(n) apart
+    const outerRadius = entries.length > 1 ? (2 * largest + clusterGap) * Math.sqrt(entries.length) / 3.5 : 0;
+    const centres = fibonacciSphere(entries.length, outerRadius);
+
+    const positions = new Map();
+    entries.forEach(([, members], i) => {
+        fibonacciSphere(members.length, clusterRadius(members), centres[i])
+            .forEach((point, j) => positions.set(members[j], point));
+    });
+    return positions;
+}
+
+// Every node on one sphere, ordered by group so groups form contiguous bands
+export function sphereLayout(graphData, { nodeSpacing = 70 } = {}) {
+    const ordered = [...graphData.nodes].sort((a, b) => compareGroups(a.group, b.group));
+    const points = fibonacciSphere(ordered.length, Math.max(100, sphereRadius(ordered.length, nodeSpacing)));
+    return new Map(ordered.map((node, i) => [node.id, points[i]]));
+}
+
+export function computeLayout(name, graphData, { focusId } = {}) {
+    switch (name) {
+        case 'radial': return radialLayout(graphData, focusId);
+        case 'layered': return layeredLayout(graphData);
+        case 'clustered': return clusteredLayout(graphData);
+        case 'sphere': return sphereLayout(graphData);
+        default: return null;
+    }
+}
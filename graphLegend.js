@@ -0,0 +1,67 @@
+// On-screen legend made of titled sections (node colour, node size, link encoding...)
+
+export class GraphLegend {
+    constructor(element) {
+        this.element = element;
+        this.sections = new Map();
+    }
+
+    // items: [{ label, color }] for swatches, or [{ label, gradient: [low, high] }], [{ label, size }],
+    // [{ label, lineWidth, color }] for link widths or [{ label, symbol }] for a text glyph
+    setSection(key, title, items) {
+        this.sections.set(key, { title, items });
+        this._render();
+    }
+
+    clearSection(key) {
+        if (this.sections.delete(key)) this._render();
+    }
+
+    _render() {
+        const children = [];
+
+        this.sections.forEach(({ title, items }) => {
+            const section = document.createElement('div');
+            section.className = 'legend-section';
+
+            const heading = document.createElement('div');
+            heading.className = 'legend-title';
+            heading.textContent = title;
+            section.appendChild(heading);
+
+            items.forEach(item => {
+                const row = document.createElement('div');
+                row.className = 'legend-row';
+
+                const swatch = document.createElement('span');
+                swatch.className = 'legend-swatch';
+                if (item.gradient) {
+                    swatch.classList.add('legend-gradient');
+                    swatch.style.background = `linear-gradient(to right, ${item.gradient.join(', ')})`;
+                } else if (item.size) {
+                    swatch.classList.add('legend-size');
+                    swatch.style.width = swatch.style.height = `${item.size}px`;
+                } else if (item.lineWidth) {
+                    swatch.classList.add('legend-line');
+                    swatch.style.height = `${item.lineWidth}px`;
+                    if (item.color) swatch.style.background = item.color;
+                } else if (item.symbol) {
+                    swatch.classList.add('legend-symbol');
+                    swatch.textContent = item.symbol;
+                } else {
+                    swatch.style.background = item.color;
+                }
+
+                const label = document.createElement('span');
+                label.textContent = item.label;
+                row.append(swatch, label);
+                section.appendChild(row);
+            });
+
+            children.push(section);
+        });
+
+        this.element.replaceChildren(...children);
+        this.element.classList.toggle('hidden', children.length === 0);
+    }
+}
@@ -0,0 +1,177 @@
+// Patch operations that mutate { nodes, links } graph data in place
+
+import { GraphDataError, validateNode } from './graphDataSource.js';
+import { linkEndpointId } from './graphUtils.js';
+
+export const PATCH_OPS = ['addNode', 'removeNode', 'updateNode', 'addLink', 'removeLink', 'updateLink'];
+
+// Fields the simulation and renderer own; patches must not overwrite them
+const RESERVED_NODE_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'fx', 'fy', 'fz', 'index', '__threeObj'];
+const RESERVED_LINK_FIELDS = ['source', 'target', 'index', '__lineObj', '__arrowObj', '__photonsObj', '__curve'];
+
+function omit(object, keys) {
+    return Object.fromEntries(Object.entries(object || {}).filter(([key]) => !keys.includes(key)));
+}
+
+function findNode(graphData, id) {
+    return graphData.nodes.find(node => node.id === id);
+}
+
+function matchesLink(link, source, target) {
+    return linkEndpointId(link.source) === source && linkEndpointId(link.target) === target;
+}
+
+// Applies one operation and returns { op, node?, link?, removedNodes }
+export function applyOperation(graphData, operation) {
+    const { op } = operation || {};
+    const result = { op, removedNodes: [] };
+
+    switch (op) {
+        case 'addNode': {
+            const node = operation.node;
+            if (!node || (typeof node.id !== 'string' && typeof node.id !== 'number')) {
+                throw new GraphDataError('addNode needs a node with an "id"');
+            }
+            if (findNode(graphData, node.id)) {
+                throw new GraphDataError(`addNode: node "${node.id}" already exists`);
+            }
+            const added = { group: 0, ...node };
+            const problems = validateNode(added);
+            if (problems.length) throw new GraphDataError(`addNode: ${problems.join('; ')}`, problems);
+            result.node = added;
+            graphData.nodes.push(result.node);
+            break;
+        }
+        case 'removeNode': {
+            const node = findNode(graphData, operation.id);
+            if (!node) throw new GraphDataError(`removeNode: unknown node "${operation.id}"`);
+            graphData.nodes.splice(graphData.nodes.indexOf(node), 1);
+            result.removedNodes.push(node);
+            // Links cannot outlive their endpoints
+            graphData.links = graphData.links.filter(link =>
+                linkEndpointId(link.source) !== node.id && linkEndpointId(link.target) !== node.id
+            );
+            break;
+        }
+        case 'updateNode': {
+            const node = findNode(graphData, operation.id);
+            if (!node) throw new GraphDataError(`updateNode: unknown node "${operation.id}"`);
+            const changes = omit(operation.changes, ['id', ...RESERVED_NODE_FIELDS]);
+            // Let the auto colouring pick a colour for the new group
+            if ('group' in changes && changes.group !== node.group && !('color' in changes)) delete node.color;
+            Object.assign(node, changes);
+            result.node = node;
+            break;
+        }
+        case 'addLink': {
+            const link = operation.link;
+            const source = linkEndpointId(link?.source);
+            const target = linkEndpointId(link?.target);
+            [source, target].forEach(id => {
+                if (!findNode(graphData, id)) throw new GraphDataError(`addLink: unknown node "${id}"`);
+            });
+            if (link.value !== undefined && !Number.isFinite(link.value)) {
+                throw new GraphDataError('addLink: "value" must be a number');
+            }
+            result.link = { ...omit(link, RESERVED_LINK_FIELDS), source, target, value: link.value ?? 1 };
+            graphData.links.push(result.link);
+            break;
+        }
+        case 'removeLink': {
+            const before = graphData.links.length;
+            graphData.links = graphData.links.filter(link => !matchesLink(link, operation.source, operation.target));
+            if (graphData.links.length === before) {
+                throw new GraphDataError(`removeLink: no link ${operation.source} -> ${operation.target}`);
+            }
+            break;
+        }
+        case 'updateLink': {
+            const links = graphData.links.filter(link => matchesLink(link, operation.source, operation.target));
+            if (!links.length) throw new GraphDataError(`updateLink: no link ${operation.source} -> ${operation.target}`);
+            const changes = omit(operation.changes, RESERVED_LINK_FIELDS);
+            if (changes.value !== undefined && !Number.isFinite(changes.value)) {
+                throw new GraphDataError('updateLink: "value" must be a number');
+            }
+            links.forEach(link => Object.assign(link, changes));
+            result.link = links[0];
+            break;
+        }
+        default:
+            throw new GraphDataError(`Unknown patch op "${op}"`);
+    }
+
+    return result;
+}
+
+const linkKey = link => `${linkEndpointId(link.source)}\u0000${linkEndpointId(link.target)}`;
+const sameValue = (a, b) => a === b || (typeof a === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+function groupLinks(links) {
+    const groups = new Map();
+    links.forEach(link => {
+        const key = linkKey(link);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(link);
+    });
+    return groups;
+}
+
+// Operations turning `current` into `target` while keeping the node and link objects both share.
+// Only fields the target sets are compared, so fields the app adds itself (colour, pinning) survive.
+// Links are matched by endpoints; a pair whose links differ in number is replaced as a whole.
+export function diffGraph(current, target) {
+    const currentNodes = new Map(current.nodes.map(node => [node.id, node]));
+    const targetIds = new Set(target.nodes.map(node => node.id));
+    const currentLinks = groupLinks(current.links);
+    const targetLinks = groupLinks(target.links);
+
+    const removeLinks = [];
+    const addLinks = [];
+    const updateLinks = [];
+    currentLinks.forEach((links, key) => {
+        const source = linkEndpointId(links[0].source);
+        const linkTarget = linkEndpointId(links[0].target);
+        const wanted = targetLinks.get(key);
+        // Links of removed nodes go with them
+        if (!targetIds.has(source) || !targetIds.has(linkTarget)) return;
+        if (!wanted || wanted.length !== links.length) removeLinks.push({ op: 'removeLink', source, target: linkTarget });
+    });
+    targetLinks.forEach((links, key) => {
+        const shown = currentLinks.get(key);
+        if (!shown || shown.length !== links.length) {
+            links.forEach(link => addLinks.push({ op: 'addLink', link }));
+            return;
+        }
+        if (links.length !== 1) return;
+        const changes = Object.fromEntries(Object.entries(omit(links[0], RESERVED_LINK_FIELDS))
+            .filter(([field, value]) => !sameValue(shown[0][field], value)));
+        if (Object.keys(changes).length) {
+            updateLinks.push({ op: 'updateLink', source: linkEndpointId(links[0].source), target: linkEndpointId(links[0].target), changes });
+        }
+    });
+
+    const removeNodes = current.nodes
+        .filter(node => !targetIds.has(node.id))
+        .map(node => ({ op: 'removeNode', id: node.id }));
+    const addNodes = [];
+    const updateNodes = [];
+    target.nodes.forEach(node => {
+        const shown = currentNodes.get(node.id);
+        if (!shown) {
+            addNodes.push({ op: 'addNode', node });
+            return;
+        }
+        const changes = Object.fromEntries(Object.entries(omit(node, ['id', ...RESERVED_NODE_FIELDS]))
+            .filter(([field, value]) => !sameValue(shown[field], value)));
+        if (Object.keys(changes).length) updateNodes.push({ op: 'updateNode', id: node.id, changes });
+    });
+
+    return [...removeLinks, ...removeNodes, ...addNodes, ...updateNodes, ...addLinks, ...updateLinks];
+}
+
+// Accepts a single operation, an array of operations or { ops: [...] }
+export function normalizePatch(patch) {
+    if (Array.isArray(patch)) return patch;
+    if (Array.isArray(patch?.ops)) return patch.ops;
+    return [patch];
+}
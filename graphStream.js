@@ -0,0 +1,80 @@
+// Live graph patch feed over WebSocket (ws://, wss://) or Server-Sent Events (http://, https://)
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+
+export class GraphStreamClient {
+    // onPatch(patch) receives each parsed message; onStatus(status) gets 'open', 'closed' or 'error'
+    constructor(url, onPatch, onStatus = () => {}) {
+        this.url = url;
+        this.onPatch = onPatch;
+        this.onStatus = onStatus;
+        this.connection = null;
+        this.reconnectDelay = RECONNECT_BASE_MS;
+        this.reconnectTimeout = null;
+        this.isClosed = false;
+    }
+
+    get isWebSocket() {
+        return /^wss?:/i.test(this.url);
+    }
+
+    connect() {
+        this.isClosed = false;
+        clearTimeout(this.reconnectTimeout);
+
+        try {
+            this.connection = this.isWebSocket ? new WebSocket(this.url) : new EventSource(this.url);
+        } catch (error) {
+            console.error(`Could not open graph stream ${this.url}:`, error);
+            this.onStatus('error');
+            this._scheduleReconnect();
+            return;
+        }
+
+        this.connection.onopen = () => {
+            console.log(`Graph stream connected: ${this.url}`);
+            this.reconnectDelay = RECONNECT_BASE_MS;
+            this.onStatus('open');
+        };
+        this.connection.onmessage = (event) => this._handleMessage(event.data);
+        this.connection.onerror = () => {
+            this.onStatus('error');
+            // EventSource reconnects by itself unless the server refused the stream outright
+            if (!this.isWebSocket && this.connection.readyState === EventSource.CLOSED) {
+                this._scheduleReconnect();
+            }
+        };
+        if (this.isWebSocket) {
+            this.connection.onclose = () => {
+                this.onStatus('closed');
+                this._scheduleReconnect();
+            };
+        }
+    }
+
+    close() {
+        this.isClosed = true;
+        clearTimeout(this.reconnectTimeout);
+        this.connection?.close();
+        this.connection = null;
+    }
+
+    _handleMessage(data) {
+        let patch;
+        try {
+            patch = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed graph stream message:', data);
+            return;
+        }
+        this.onPatch(patch);
+    }
+
+    _scheduleReconnect() {
+        if (this.isClosed) return;
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+    }
+}
@@ -0,0 +1,55 @@
+// Shared helpers for working with { nodes, links } graph data
+
+// Links hold ids before the force graph resolves them and node objects afterwards
+export function linkEndpointId(endpoint) {
+    return endpoint !== null && typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+// d3.schemePaired, the palette 3d-force-graph uses for nodeAutoColorBy
+const GROUP_PALETTE = [
+    '#a6cee3', '#1f78b4', '#b2df8a', '#33a02c', '#fb9a99', '#e31a1c',
+    '#fdbf6f', '#ff7f00', '#cab2d6', '#6a3d9a', '#ffff99', '#b15928'
+];
+
+// Ordinal colour scale: each new value takes the next palette colour
+export function createColorScale(palette = GROUP_PALETTE) {
+    const assigned = new Map();
+    return value => {
+        if (!assigned.has(value)) assigned.set(value, palette[assigned.size % palette.length]);
+        return assigned.get(value);
+    };
+}
+
+// Case, spacing and punctuation insensitive form used to match spoken names against ids
+export function normalizeName(text) {
+    return String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function getNodeLabel(node) {
+    return node?.name || String(node?.id ?? '');
+}
+
+// Map of node id -> Set of neighbour ids, treating links as undirected
+export function buildAdjacency(graphData) {
+    const adjacency = new Map(graphData.nodes.map(node => [node.id, new Set()]));
+    graphData.links.forEach(link => {
+        const sourceId = linkEndpointId(link.source);
+        const targetId = linkEndpointId(link.target);
+        adjacency.get(sourceId)?.add(targetId);
+        adjacency.get(targetId)?.add(sourceId);
+    });
+    return adjacency;
+}
+
+export function getNeighbours(graphData, nodeId) {
+    const nodesById = new Map(graphData.nodes.map(node => [node.id, node]));
+    const neighbourIds = new Set();
+    graphData.links.forEach(link => {
+        const sourceId = linkEndpointId(link.source);
+        const targetId = linkEndpointId(link.target);
+        if (sourceId === nodeId) neighbourIds.add(targetId);
+        if (targetId === nodeId) neighbourIds.add(sourceId);
+    });
+    neighbourIds.delete(nodeId);
+    return Array.from(neighbourIds).map(id => nodesById.get(id)).filter(Boolean);
+}
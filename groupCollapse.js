@@ -0,0 +1,150 @@
+// Collapses whole groups into aggregate super-nodes, with links between them summed
+
+import { linkEndpointId } from './graphUtils.js';
+
+const SUPER_NODE_PREFIX = '__group__:';
+
+export function superNodeId(group) {
+    return `${SUPER_NODE_PREFIX}${group}`;
+}
+
+export function isSuperNode(node) {
+    return !!node?.isGroup;
+}
+
+export class GroupCollapser {
+    constructor() {
+        this.collapsedGroups = new Set();
+        // Super-node and aggregate link objects are kept between views so the layout keeps their positions
+        this.superNodes = new Map();
+        this.superLinks = new Map();
+    }
+
+    get isActive() {
+        return this.collapsedGroups.size > 0;
+    }
+
+    isCollapsed(group) {
+        return this.collapsedGroups.has(group);
+    }
+
+    // The super-node starts at the centroid of its members
+    collapse(group, members) {
+        if (this.collapsedGroups.has(group)) return;
+        this.collapsedGroups.add(group);
+
+        const placed = members.filter(node => Number.isFinite(node.x));
+        const centroid = { x: 0, y: 0, z: 0 };
+        placed.forEach(node => {
+            centroid.x += node.x / placed.length;
+            centroid.y += node.y / placed.length;
+            centroid.z += (node.z || 0) / placed.length;
+        });
+
+        this.superNodes.set(group, {
+            id: superNodeId(group),
+            name: `Group ${group}`,
+            group,
+            isGroup: true,
+            memberCount: members.length,
+            attributes: { Members: members.length },
+            centroid,
+            ...(placed.length ? { ...centroid, vx: 0, vy: 0, vz: 0 } : {})
+        });
+    }
+
+    // Moves the members back around wherever the super-node has been dragged or pushed to,
+    // keeping their layout relative to each other
+    expand(group, members) {
+        const superNode = this.superNodes.get(group);
+        if (!this.collapsedGroups.delete(group) || !superNode) return;
+        this.superNodes.delete(group);
+
+        if (!Number.isFinite(superNode.x)) return;
+        const offset = {
+            x: superNode.x - superNode.centroid.x,
+            y: superNode.y - superNode.centroid.y,
+            z: (superNode.z || 0) - superNode.centroid.z
+        };
+        members.forEach(node => {
+            if (!Number.isFinite(node.x)) {
+                Object.assign(node, { x: superNode.x, y: superNode.y, z: superNode.z || 0 });
+                return;
+            }
+            ['x', 'y', 'z'].forEach(axis => {
+                node[axis] = (node[axis] || 0) + offset[axis];
+                if (node[`f${axis}`] !== undefined) node[`f${axis}`] += offset[axis];
+            });
+            Object.assign(node, { vx: 0, vy: 0, vz: 0 });
+        });
+    }
+
+    reset() {
+        this.collapsedGroups.clear();
+        this.superNodes.clear();
+        this.superLinks.clear();
+    }
+
+    // Replaces members of collapsed groups with their super-nodes. Links inside a collapsed group are dropped
+    // and links touching one are merged per directed endpoint pair, carrying the summed value. A -> B and
+    // B -> A stay separate links so direction arrows and particles still point the right way.
+    apply({ nodes, links }) {
+        if (!this.isActive) return { nodes, links };
+
+        const nodesById = new Map();
+        const viewIdOf = new Map();
+        const memberCounts = new Map();
+        const viewNodes = [];
+
+        nodes.forEach(node => {
+            if (this.collapsedGroups.has(node.group) && this.superNodes.has(node.group)) {
+                const superNode = this.superNodes.get(node.group);
+                viewIdOf.set(node.id, superNode.id);
+                memberCounts.set(node.group, (memberCounts.get(node.group) || 0) + 1);
+                if (!nodesById.has(superNode.id)) {
+                    nodesById.set(superNode.id, superNode);
+                    viewNodes.push(superNode);
+                }
+            } else {
+                viewIdOf.set(node.id, node.id);
+                nodesById.set(node.id, node);
+                viewNodes.push(node);
+            }
+        });
+        memberCounts.forEach((count, group) => {
+            Object.assign(this.superNodes.get(group), { memberCount: count, attributes: { Members: count } });
+        });
+
+        const viewLinks = [];
+        const aggregated = new Map();
+        links.forEach(link => {
+            const sourceId = viewIdOf.get(linkEndpointId(link.source));
+            const targetId = viewIdOf.get(linkEndpointId(link.target));
+            if (sourceId === undefined || targetId === undefined || sourceId === targetId) return;
+
+            if (sourceId === linkEndpointId(link.source) && targetId === linkEndpointId(link.target)) {
+                viewLinks.push(link);
+                return;
+            }
+
+            const key = `${sourceId}\u0000${targetId}`;
+            if (!aggregated.has(key)) {
+                const superLink = this.superLinks.get(key) || { isGroupLink: true };
+                Object.assign(superLink, {
+                    source: nodesById.get(sourceId),
+                    target: nodesById.get(targetId),
+                    value: 0,
+                    memberLinks: 0
+                });
+                this.superLinks.set(key, superLink);
+                aggregated.set(key, superLink);
+                viewLinks.push(superLink);
+            }
+            const superLink = aggregated.get(key);
+            superLink.value += link.value ?? 1;
+            superLink.memberLinks++;
+        });
+
+        return { nodes: viewNodes, links: viewLinks };
+    }
+}
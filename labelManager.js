@@ -0,0 +1,247 @@
+// Level-of-detail node labels: a small pool of labels picked by hover, degree and distance,
+// culled when off-screen or overlapping. Drawn as DOM elements or as glyph-atlas meshes in the scene.
+
+import * as THREE from 'three';
+import { GlyphAtlas } from './glyphAtlas.js';
+import { getNodeLabel, linkEndpointId } from './graphUtils.js';
+
+export const LABEL_MODES = ['dom', 'sprite', 'off'];
+
+const DEFAULTS = {
+    mode: 'dom',
+    maxLabels: 60,
+    selectionIntervalMs: 120,
+    fullDetailDistance: 250,
+    maxDistance: 1400,
+    charWidthPx: 7,
+    labelHeightPx: 18,
+    labelGapPx: 4,
+    spriteHeight: 7,
+    spriteOffset: 14
+};
+
+export class LabelManager {
+    constructor(domLayer, scene, options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.domLayer = domLayer;
+        this.scene = scene;
+        this.mode = LABEL_MODES.includes(this.options.mode) ? this.options.mode : 'dom';
+        // What "labels on" goes back to after the labels were turned off
+        this.lastVisibleMode = this.mode === 'off' ? 'dom' : this.mode;
+
+        this.degrees = new Map();
+        this.hoveredNodes = new Set();
+        this.getOpacity = () => 1;
+        this.visibleNodes = [];
+        this.lastSelectionTime = 0;
+        this.needsSelection = true;
+
+        this.domPool = [];
+        this.spritePool = [];
+        this.spriteGroup = new THREE.Group();
+        this.spriteGroup.name = 'nodeLabels';
+        this.scene.add(this.spriteGroup);
+        this.glyphAtlas = null;
+        this.spriteGeometries = new Map();
+        this.spriteMaterials = null;
+
+        this._projected = new THREE.Vector3();
+    }
+
+    setMode(mode) {
+        if (!LABEL_MODES.includes(mode) || mode === this.mode) return;
+        // Text geometries are only cached for the sprite mode; leaving it frees them
+        if (this.mode === 'sprite') this._disposeSpriteGeometries();
+        this.mode = mode;
+        if (mode !== 'off') this.lastVisibleMode = mode;
+        this._hideAll();
+        this.needsSelection = true;
+    }
+
+    // Removes every label from the page and the scene and frees their GPU resources
+    dispose() {
+        this._disposeSpriteGeometries();
+        this.spritePool.forEach(mesh => mesh.geometry.dispose());
+        this.spritePool = [];
+        this.scene.remove(this.spriteGroup);
+        if (this.spriteMaterials) {
+            Object.values(this.spriteMaterials).forEach(material => material.dispose());
+            this.spriteMaterials = null;
+        }
+        this.glyphAtlas?.texture.dispose();
+        this.glyphAtlas = null;
+        this.domPool.forEach(element => element.remove());
+        this.domPool = [];
+        this.visibleNodes = [];
+    }
+
+    setGraphData(graphData) {
+        this.degrees.clear();
+        graphData.links.forEach(link => {
+            [linkEndpointId(link.source), linkEndpointId(link.target)].forEach(id => {
+                this.degrees.set(id, (this.degrees.get(id) || 0) + 1);
+            });
+        });
+        this.needsSelection = true;
+    }
+
+    // Faded nodes (e.g. outside a highlighted path) lose their labels to make room for the rest
+    setOpacityAccessor(getOpacity) {
+        this.getOpacity = getOpacity;
+        this.needsSelection = true;
+    }
+
+    setHovered(node, isHovered) {
+        if (!node) return;
+        if (isHovered) this.hoveredNodes.add(node);
+        else this.hoveredNodes.delete(node);
+        this.needsSelection = true;
+    }
+
+    update(nodes, camera, width, height, now = performance.now()) {
+        if (this.mode === 'off') return;
+
+        if (this.needsSelection || now - this.lastSelectionTime > this.options.selectionIntervalMs) {
+            this.visibleNodes = this._selectVisible(nodes, camera, width, height);
+            this.lastSelectionTime = now;
+            this.needsSelection = false;
+        }
+
+        if (this.mode === 'dom') {
+            this._renderDom(camera, width, height);
+        } else {
+            this._renderSprites(camera);
+        }
+    }
+
+    _selectVisible(nodes, camera, width, height) {
+        const candidates = [];
+        const { fullDetailDistance, maxDistance } = this.options;
+
+        nodes.forEach(node => {
+            if (typeof node.x !== 'number') return;
+            const isHovered = this.hoveredNodes.has(node);
+            if (!isHovered && this.getOpacity(node) < 0.5) return;
+            const distance = camera.position.distanceTo(this._projected.set(node.x, node.y, node.z || 0));
+            if (!isHovered && distance > maxDistance) return;
+
+            // Off-screen or behind the camera
+            this._projected.project(camera);
+            if (this._projected.z > 1 || Math.abs(this._projected.x) > 1 || Math.abs(this._projected.y) > 1) return;
+
+            // Hovered first, then well connected nodes, with nearby nodes always competitive
+            const degree = this.degrees.get(node.id) || 0;
+            const proximity = distance <= fullDetailDistance ? 2 : fullDetailDistance / distance;
+            const score = isHovered ? Infinity : Math.log2(2 + degree) * proximity;
+
+            candidates.push({
+                node,
+                score,
+                x: (this._projected.x + 1) / 2 * width,
+                y: (1 - this._projected.y) / 2 * height
+            });
+        });
+
+        candidates.sort((a, b) => b.score - a.score);
+
+        const placed = [];
+        const { maxLabels, charWidthPx, labelHeightPx, labelGapPx } = this.options;
+        for (const candidate of candidates) {
+            if (placed.length >= maxLabels && candidate.score !== Infinity) break;
+
+            const halfWidth = getNodeLabel(candidate.node).length * charWidthPx / 2 + labelGapPx;
+            const rect = {
+                left: candidate.x - halfWidth,
+                right: candidate.x + halfWidth,
+                top: candidate.y - labelHeightPx - labelGapPx,
+                bottom: candidate.y + labelGapPx
+            };
+            const overlaps = placed.some(other =>
+                rect.left < other.right && rect.right > other.left && rect.top < other.bottom && rect.bottom > other.top
+            );
+            if (overlaps && candidate.score !== Infinity) continue;
+            placed.push({ ...rect, node: candidate.node });
+        }
+
+        return placed.map(rect => rect.node);
+    }
+
+    _renderDom(camera, width, height) {
+        while (this.domPool.length < this.visibleNodes.length) {
+            const element = document.createElement('div');
+            element.className = 'node-label';
+            this.domLayer.appendChild(element);
+            this.domPool.push(element);
+        }
+
+        this.domPool.forEach((element, i) => {
+            const node = this.visibleNodes[i];
+            if (!node) {
+                element.style.display = 'none';
+                return;
+            }
+            this._projected.set(node.x, node.y, node.z || 0).project(camera);
+            const x = (this._projected.x + 1) / 2 * width;
+            const y = (1 - this._projected.y) / 2 * height;
+
+            const text = getNodeLabel(node);
+            if (element.textContent !== text) element.textContent = text;
+            element.classList.toggle('node-label-hover', this.hoveredNodes.has(node));
+            element.style.opacity = this.getOpacity(node);
+            element.style.display = '';
+            element.style.transform = `translate(-50%, -100%) translate(${x}px, ${y}px)`;
+        });
+    }
+
+    _renderSprites(camera) {
+        if (!this.glyphAtlas) {
+            this.glyphAtlas = new GlyphAtlas();
+            const materialOptions = { map: this.glyphAtlas.texture, transparent: true, depthWrite: false };
+            this.spriteMaterials = {
+                normal: new THREE.MeshBasicMaterial({ ...materialOptions, color: 0xffffff }),
+                hover: new THREE.MeshBasicMaterial({ ...materialOptions, color: 0xffff00 })
+            };
+        }
+
+        while (this.spritePool.length < this.visibleNodes.length) {
+            const mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.spriteMaterials.normal);
+            this.spriteGroup.add(mesh);
+            this.spritePool.push(mesh);
+        }
+
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+        this.spritePool.forEach((mesh, i) => {
+            const node = this.visibleNodes[i];
+            mesh.visible = !!node;
+            if (!node) return;
+
+            mesh.geometry = this._getSpriteGeometry(getNodeLabel(node));
+            mesh.material = this.hoveredNodes.has(node) ? this.spriteMaterials.hover : this.spriteMaterials.normal;
+            mesh.scale.setScalar(this.options.spriteHeight);
+            // Billboard above the node so depth sorting and bloom treat it like the rest of the scene
+            mesh.quaternion.copy(camera.quaternion);
+            mesh.position.set(node.x, node.y, node.z || 0).addScaledVector(up, this.options.spriteOffset);
+        });
+    }
+
+    _getSpriteGeometry(text) {
+        let geometry = this.spriteGeometries.get(text);
+        if (!geometry) {
+            geometry = this.glyphAtlas.createTextGeometry(text);
+            this.spriteGeometries.set(text, geometry);
+        }
+        return geometry;
+    }
+
+    // Pooled meshes keep an empty geometry of their own so none of them points at a disposed one
+    _disposeSpriteGeometries() {
+        this.spriteGeometries.forEach(geometry => geometry.dispose());
+        this.spriteGeometries.clear();
+        this.spritePool.forEach(mesh => { mesh.geometry = new THREE.BufferGeometry(); });
+    }
+
+    _hideAll() {
+        this.domPool.forEach(element => { element.style.display = 'none'; });
+        this.spritePool.forEach(mesh => { mesh.visible = false; });
+    }
+}
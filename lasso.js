@@ -0,0 +1,63 @@
+// Lasso selection: a loop traced on screen, and which points fall inside it
+
+// Even-odd rule; polygon is an array of { x, y }
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export class Lasso {
+    constructor({ minPointSpacing = 6, closeDistance = 60, minPerimeter = 200 } = {}) {
+        this.minPointSpacing = minPointSpacing;
+        this.closeDistance = closeDistance;
+        this.minPerimeter = minPerimeter;
+        this.points = [];
+        this.perimeter = 0;
+    }
+
+    get isDrawing() {
+        return this.points.length > 0;
+    }
+
+    begin(point) {
+        this.points = [{ x: point.x, y: point.y }];
+        this.perimeter = 0;
+    }
+
+    // Returns true when the point extended the trace; jitter closer than minPointSpacing is dropped
+    add(point) {
+        const last = this.points[this.points.length - 1];
+        if (!last) return false;
+        const step = Math.hypot(point.x - last.x, point.y - last.y);
+        if (step < this.minPointSpacing) return false;
+        this.points.push({ x: point.x, y: point.y });
+        this.perimeter += step;
+        return true;
+    }
+
+    // The traced loop, or null when it was too short or did not come back near where it started.
+    // Larger loops get a proportionally larger gap to close.
+    finish() {
+        const { points, perimeter } = this;
+        this.cancel();
+        if (points.length < 3 || perimeter < this.minPerimeter) return null;
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const gap = Math.hypot(last.x - first.x, last.y - first.y);
+        return gap <= Math.max(this.closeDistance, perimeter * 0.15) ? points : null;
+    }
+
+    cancel() {
+        this.points = [];
+        this.perimeter = 0;
+    }
+}
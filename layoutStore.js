@@ -0,0 +1,80 @@
+// Saving and restoring node layouts (positions, pinned state and camera pose)
+
+import { openLocalStorage } from './browserStorage.js';
+
+export const LAYOUT_FILE_TYPE = 'graph-layout';
+const STORAGE_PREFIX = 'graphLayout:';
+const round = value => Math.round(value * 100) / 100;
+
+export function captureLayout(name, nodes, camera, target) {
+    return {
+        type: LAYOUT_FILE_TYPE,
+        version: 1,
+        name,
+        savedAt: new Date().toISOString(),
+        nodes: nodes
+            .filter(node => Number.isFinite(node.x))
+            .map(node => ({
+                id: node.id,
+                x: round(node.x),
+                y: round(node.y),
+                z: round(node.z || 0),
+                pinned: !!node.pinned
+            })),
+        camera: {
+            position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+            target: { x: target.x, y: target.y, z: target.z }
+        }
+    };
+}
+
+export function isLayout(data) {
+    return data?.type === LAYOUT_FILE_TYPE && Array.isArray(data.nodes);
+}
+
+export class LayoutStore {
+    constructor(storage = openLocalStorage()) {
+        this.storage = storage;
+    }
+
+    list() {
+        const names = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(STORAGE_PREFIX)) names.push(key.slice(STORAGE_PREFIX.length));
+        }
+        return names.sort();
+    }
+
+    save(layout) {
+        this.storage.setItem(STORAGE_PREFIX + layout.name, JSON.stringify(layout));
+    }
+
+    load(name) {
+        const raw = this.storage.getItem(STORAGE_PREFIX + name);
+        if (!raw) return null;
+        try {
+            const layout = JSON.parse(raw);
+            return isLayout(layout) ? layout : null;
+        } catch (error) {
+            console.error(`Stored layout "${name}" is corrupt:`, error);
+            return null;
+        }
+    }
+
+    remove(name) {
+        this.storage.removeItem(STORAGE_PREFIX + name);
+    }
+
+    download(layout) {
+        const blob = new Blob([JSON.stringify(layout, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${layout.name}.layout.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,47 @@
+// Link encoding presets: which visual channels (width/opacity, arrows, particles, colour) carry link data
+
+import { normalizeName } from './graphUtils.js';
+
+const CHANNELS_OFF = { weight: false, arrows: false, particles: false, colorBySource: false };
+
+export const LINK_ENCODINGS = {
+    uniform: { ...CHANNELS_OFF, label: 'Uniform' },
+    weight: { ...CHANNELS_OFF, label: 'Weight', weight: true },
+    direction: { ...CHANNELS_OFF, label: 'Direction', arrows: true },
+    flow: { ...CHANNELS_OFF, label: 'Flow', weight: true, particles: true },
+    source: { ...CHANNELS_OFF, label: 'Source group', colorBySource: true, arrows: true },
+    combined: { label: 'Combined', weight: true, arrows: true, particles: true, colorBySource: true }
+};
+
+const ALIASES = {
+    uniform: 'uniform', plain: 'uniform', default: 'uniform', none: 'uniform', normal: 'uniform',
+    weight: 'weight', weights: 'weight', weighted: 'weight', width: 'weight', strength: 'weight',
+    direction: 'direction', directions: 'direction', directed: 'direction', arrow: 'direction', arrows: 'direction',
+    flow: 'flow', particles: 'flow', particle: 'flow', animated: 'flow', animation: 'flow',
+    source: 'source', sourcegroup: 'source', group: 'source', groups: 'source', colour: 'source', color: 'source',
+    combined: 'combined', everything: 'combined', full: 'combined'
+};
+
+// Spoken words that name an encoding, for commands like "arrow links" that must not claim every "… links"
+export const SPOKEN_LINK_ENCODING = new RegExp(`(?:source group|${Object.keys(ALIASES).join('|')})`);
+
+// Accepts spoken variants such as "arrows" or "particles"; returns undefined when nothing matches
+export function parseLinkEncoding(spoken) {
+    return ALIASES[normalizeName(spoken)];
+}
+
+// Maps link values onto [0, 1] on a log scale, since weights are heavily skewed towards 1
+export function createWeightScale(links) {
+    const values = links.map(link => link.value ?? 1).filter(value => value > 0);
+    const min = values.length ? Math.min(...values) : 1;
+    const max = values.length ? Math.max(...values) : 1;
+    const range = Math.log(max / min);
+
+    const scale = link => {
+        const value = link.value ?? 1;
+        if (!(value > 0) || range === 0) return range === 0 ? 1 : 0;
+        return Math.min(Math.max(Math.log(value / min) / range, 0), 1);
+    };
+    scale.domain = [min, max];
+    return scale;
+}
@@ -0,0 +1,96 @@
+// Detail card anchored next to a node, showing its metadata and neighbourhood
+
+import { getNodeLabel } from './graphUtils.js';
+
+const MAX_LISTED_NEIGHBOURS = 12;
+const CARD_OFFSET = 24;
+
+export class NodeDetailCard {
+    constructor(element, container) {
+        this.element = element;
+        this.container = container;
+        this.node = null;
+    }
+
+    // degree counts links, which can exceed neighbours.length when there are parallel links
+    show(node, neighbours, degree) {
+        if (this.node === node) return;
+        this.node = node;
+        this.element.replaceChildren(...this._buildContent(node, neighbours, degree));
+        this.element.classList.remove('hidden');
+    }
+
+    hide() {
+        if (!this.node) return;
+        this.node = null;
+        this.element.classList.add('hidden');
+    }
+
+    // screenPos uses the centred, y-up coordinates of Game._worldToScreen
+    setPosition(screenPos) {
+        if (!this.node || !screenPos) return;
+
+        const { clientWidth: width, clientHeight: height } = this.container;
+        const cardWidth = this.element.offsetWidth;
+        const cardHeight = this.element.offsetHeight;
+
+        let left = width / 2 + screenPos.x + CARD_OFFSET;
+        let top = height / 2 - screenPos.y - cardHeight / 2;
+
+        // Flip to the left of the node and clamp vertically so the card stays on screen
+        if (left + cardWidth > width) left = width / 2 + screenPos.x - CARD_OFFSET - cardWidth;
+        top = Math.max(5, Math.min(height - cardHeight - 5, top));
+
+        this.element.style.left = `${Math.max(5, left)}px`;
+        this.element.style.top = `${top}px`;
+    }
+
+    _buildContent(node, neighbours, degree) {
+        const parts = [];
+        const el = (tag, className, text) => {
+            const element = document.createElement(tag);
+            if (className) element.className = className;
+            if (text !== undefined) element.textContent = text;
+            return element;
+        };
+
+        if (node.image) {
+            const image = el('img', 'node-card-image');
+            image.src = node.image;
+            image.alt = getNodeLabel(node);
+            image.onerror = () => image.remove();
+            parts.push(image);
+        }
+
+        parts.push(el('div', 'node-card-title', getNodeLabel(node)));
+        if (node.name && node.name !== String(node.id)) {
+            parts.push(el('div', 'node-card-subtitle', node.id));
+        }
+        if (node.description) {
+            parts.push(el('div', 'node-card-description', node.description));
+        }
+
+        const rows = [
+            ['Group', node.group],
+            ['Degree', degree],
+            ...Object.entries(node.attributes || {})
+        ];
+        const table = el('table', 'node-card-attributes');
+        rows.forEach(([key, value]) => {
+            const row = el('tr');
+            row.append(el('th', null, key), el('td', null, String(value)));
+            table.appendChild(row);
+        });
+        parts.push(table);
+
+        if (neighbours.length) {
+            const labels = neighbours.slice(0, MAX_LISTED_NEIGHBOURS).map(getNodeLabel);
+            if (neighbours.length > MAX_LISTED_NEIGHBOURS) {
+                labels.push(`+${neighbours.length - MAX_LISTED_NEIGHBOURS} more`);
+            }
+            parts.push(el('div', 'node-card-neighbours', `Neighbours: ${labels.join(', ')}`));
+        }
+
+        return parts;
+    }
+}
@@ -0,0 +1,74 @@
+// Fuzzy node lookup by id or display name, tolerant of speech-recognition misspellings
+
+import { normalizeName } from './graphUtils.js';
+
+export const MIN_MATCH_SCORE = 0.6;
+// Matches scoring this close to the best one are treated as ambiguous
+export const AMBIGUITY_MARGIN = 0.08;
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Rough sound-alike key so "carpathy" meets "karpathy" and "jenson" meets "jensen"
+function phoneticKey(text) {
+    return text
+        .replace(/ph/g, 'f')
+        .replace(/ck|c|q/g, 'k')
+        .replace(/z/g, 's')
+        .replace(/x/g, 'ks')
+        .replace(/(?!^)[aeiouy]/g, '')
+        .replace(/(.)\1+/g, '$1');
+}
+
+// Every form of a node worth comparing against: its id, its name, and the words of its name
+function nodeKeys(node) {
+    const keys = new Set([normalizeName(node.id), normalizeName(node.name)]);
+    String(node.name ?? '').split(/[\s_.-]+/).forEach(word => keys.add(normalizeName(word)));
+    keys.delete('');
+    return Array.from(keys);
+}
+
+function scoreKey(query, key) {
+    if (query === key) return 1;
+    let score = similarity(query, key);
+    if (key.startsWith(query)) score = Math.max(score, 0.9);
+    else if (key.includes(query) && query.length >= 3) score = Math.max(score, 0.8);
+    // Sound-alike matches rank just below spelled matches
+    return Math.max(score, similarity(phoneticKey(query), phoneticKey(key)) * 0.9);
+}
+
+// Returns [{ node, score }] best first, keeping only matches scoring at least minScore
+export function searchNodes(nodes, query, { limit = 5, minScore = MIN_MATCH_SCORE } = {}) {
+    const target = normalizeName(query);
+    if (!target) return [];
+
+    return nodes
+        .map(node => ({ node, score: Math.max(...nodeKeys(node).map(key => scoreKey(target, key)), 0) }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// The matches a user should choose between: empty when there is no match or a clear winner.
+// A single exact match wins outright; several exact matches (e.g. two nodes with the same name) still need a choice.
+export function ambiguousMatches(matches, margin = AMBIGUITY_MARGIN) {
+    if (matches.length < 2) return [];
+    if (matches[0].score === 1 && matches[1].score < 1) return [];
+    const close = matches.filter(match => matches[0].score - match.score <= margin);
+    return close.length > 1 ? close : [];
+}
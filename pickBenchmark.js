@@ -0,0 +1,131 @@
+// Benchmark mode comparing linear-scan picking with the screen-space grid
+//
+//   index.html?benchmark=pick&nodes=20000
+
+import * as THREE from 'three';
+import { ScreenSpaceGrid } from './spatialIndex.js';
+
+const DEFAULT_NODE_COUNT = 20000;
+const QUERY_COUNT = 500;
+// Share of nodes moved between the build and the update pass, like a few simulation ticks
+const MOVED_FRACTION = 0.02;
+const MOVE_DISTANCE = 30;
+
+export function getBenchmarkConfig(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    if (params.get('benchmark') !== 'pick') return null;
+    const nodeCount = parseInt(params.get('nodes'), 10);
+    return { nodeCount: Number.isFinite(nodeCount) && nodeCount > 0 ? nodeCount : DEFAULT_NODE_COUNT };
+}
+
+// Random nodes spread over a sphere, each linked to one or two earlier nodes
+export function generateSyntheticGraph(nodeCount, groupCount = 10) {
+    const radius = 40 * Math.cbrt(nodeCount);
+    const nodes = [];
+    const links = [];
+
+    for (let i = 0; i < nodeCount; i++) {
+        const direction = new THREE.Vector3().randomDirection().multiplyScalar(radius * Math.cbrt(Math.random()));
+        nodes.push({ id: `n${i}`, group: i % groupCount, x: direction.x, y: direction.y, z: direction.z });
+        if (i === 0) continue;
+        links.push({ source: `n${i}`, target: `n${Math.floor(Math.random() * i)}`, value: 1 + Math.floor(Math.random() * 10) });
+        if (i > 1 && Math.random() < 0.5) {
+            links.push({ source: `n${i}`, target: `n${Math.floor(Math.random() * i)}`, value: 1 });
+        }
+    }
+    return { nodes, links };
+}
+
+// Screen positions of every node that projects, keyed by node
+function projectAll(nodes, project) {
+    const positions = new Map();
+    nodes.forEach(node => {
+        const screenPos = project(node, new THREE.Vector2());
+        if (screenPos) positions.set(node, screenPos);
+    });
+    return positions;
+}
+
+function linearScan(positions, screenPos, maxDistance) {
+    let best = null;
+    let bestDistanceSq = maxDistance * maxDistance;
+    positions.forEach((nodeScreenPos, node) => {
+        const distanceSq = screenPos.distanceToSquared(nodeScreenPos);
+        if (distanceSq < bestDistanceSq) {
+            bestDistanceSq = distanceSq;
+            best = node;
+        }
+    });
+    return best;
+}
+
+function countMismatches(grid, positions, queries, maxDistance) {
+    return queries.filter(q => (grid.findNearest(q, maxDistance)?.node || null) !== linearScan(positions, q, maxDistance)).length;
+}
+
+// Times QUERY_COUNT random picks both ways; returns per-query milliseconds.
+// Both strategies search the same projected positions, so the times compare search cost only;
+// projecting every node is reported on its own as projectMs.
+export function runPickBenchmark(nodes, project, viewport, maxDistance) {
+    const queries = Array.from({ length: QUERY_COUNT }, () => new THREE.Vector2(
+        (Math.random() - 0.5) * viewport.width,
+        (Math.random() - 0.5) * viewport.height
+    ));
+
+    let start = performance.now();
+    const positions = projectAll(nodes, project);
+    const projectMs = performance.now() - start;
+    const projected = (node, target) => {
+        const screenPos = positions.get(node);
+        return screenPos ? target.copy(screenPos) : null;
+    };
+
+    start = performance.now();
+    queries.forEach(q => linearScan(positions, q, maxDistance));
+    const linearMs = (performance.now() - start) / QUERY_COUNT;
+
+    const grid = new ScreenSpaceGrid(maxDistance);
+    start = performance.now();
+    grid.update(nodes, projected);
+    const buildMs = performance.now() - start;
+
+    start = performance.now();
+    queries.forEach(q => grid.findNearest(q, maxDistance));
+    const gridMs = (performance.now() - start) / QUERY_COUNT;
+    let mismatches = countMismatches(grid, positions, queries, maxDistance);
+
+    // Move a few nodes and update again: only those change cell, so this measures the re-bin
+    // cost the grid pays between frames. Their original positions are put back afterwards.
+    const moved = nodes.filter(() => Math.random() < MOVED_FRACTION);
+    const originals = moved.map(node => ({ node, x: node.x, y: node.y, z: node.z }));
+    moved.forEach(node => {
+        const offset = new THREE.Vector3().randomDirection().multiplyScalar(MOVE_DISTANCE);
+        node.x += offset.x;
+        node.y += offset.y;
+        node.z += offset.z;
+        const screenPos = project(node, new THREE.Vector2());
+        if (screenPos) positions.set(node, screenPos);
+        else positions.delete(node);
+    });
+
+    grid.markDirty();
+    start = performance.now();
+    grid.update(nodes, projected);
+    const updateMs = performance.now() - start;
+    mismatches += countMismatches(grid, positions, queries, maxDistance);
+
+    originals.forEach(({ node, x, y, z }) => Object.assign(node, { x, y, z }));
+
+    return {
+        nodes: nodes.length,
+        queries: QUERY_COUNT,
+        linearScanMsPerPick: +linearMs.toFixed(4),
+        gridMsPerPick: +gridMs.toFixed(4),
+        projectMs: +projectMs.toFixed(2),
+        gridBuildMs: +buildMs.toFixed(2),
+        gridUpdateMs: +updateMs.toFixed(2),
+        movedNodes: moved.length,
+        speedup: +(linearMs / Math.max(gridMs, 1e-6)).toFixed(1),
+        mismatches
+    };
+}
@@ -0,0 +1,110 @@
+// Screen-space uniform grid for nearest-node hover and pick queries
+
+import * as THREE from 'three';
+
+const CELL_OFFSET = 32768;
+const cellKey = (cx, cy) => (cx + CELL_OFFSET) * 65536 + (cy + CELL_OFFSET);
+
+export class ScreenSpaceGrid {
+    constructor(cellSize = 80) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = new Map();
+        this.isDirty = true;
+        this.generation = 0;
+        this._projected = new THREE.Vector2();
+    }
+
+    // Call when nodes moved (simulation tick, drag) or the camera changed
+    markDirty() {
+        this.isDirty = true;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.isDirty = true;
+    }
+
+    // Re-projects every node on each dirty update, so the cost is linear in the node count;
+    // only the re-binning is incremental, touching just the nodes whose cell changed.
+    // project(node, targetVector2) returns the screen position or null.
+    update(nodes, project) {
+        if (!this.isDirty) return false;
+        this.isDirty = false;
+        this.generation++;
+
+        nodes.forEach(node => {
+            if (typeof node.x !== 'number' || typeof node.y !== 'number' || typeof node.z !== 'number') return;
+            const screenPos = project(node, this._projected);
+            if (!screenPos) return;
+
+            const key = cellKey(Math.floor(screenPos.x / this.cellSize), Math.floor(screenPos.y / this.cellSize));
+            let entry = this.entries.get(node);
+            if (!entry) {
+                entry = { node, x: 0, y: 0, key: null, generation: 0 };
+                this.entries.set(node, entry);
+            }
+            entry.x = screenPos.x;
+            entry.y = screenPos.y;
+            entry.generation = this.generation;
+
+            if (entry.key !== key) {
+                if (entry.key !== null) this._removeFromCell(entry);
+                entry.key = key;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        });
+
+        // Drop nodes that were removed from the graph or could not be projected
+        this.entries.forEach((entry, node) => {
+            if (entry.generation !== this.generation) {
+                this._removeFromCell(entry);
+                this.entries.delete(node);
+            }
+        });
+        return true;
+    }
+
+    // Returns { node, distanceSq } for the closest node within maxDistance of screenPos, or null
+    findNearest(screenPos, maxDistance, filter = null) {
+        const maxDistanceSq = maxDistance * maxDistance;
+        const range = Math.ceil(maxDistance / this.cellSize);
+        const cx = Math.floor(screenPos.x / this.cellSize);
+        const cy = Math.floor(screenPos.y / this.cellSize);
+
+        let best = null;
+        let bestDistanceSq = maxDistanceSq;
+        for (let dx = -range; dx <= range; dx++) {
+            for (let dy = -range; dy <= range; dy++) {
+                const cell = this.cells.get(cellKey(cx + dx, cy + dy));
+                if (!cell) continue;
+                for (const entry of cell) {
+                    const distanceSq = (entry.x - screenPos.x) ** 2 + (entry.y - screenPos.y) ** 2;
+                    if (distanceSq < bestDistanceSq && (!filter || filter(entry.node))) {
+                        bestDistanceSq = distanceSq;
+                        best = entry.node;
+                    }
+                }
+            }
+        }
+        return best ? { node: best, distanceSq: bestDistanceSq } : null;
+    }
+
+    _removeFromCell(entry) {
+        const cell = this.cells.get(entry.key);
+        if (!cell) return;
+        const index = cell.indexOf(entry);
+        if (index !== -1) {
+            // Order inside a cell does not matter, so swap-remove
+            cell[index] = cell[cell.length - 1];
+            cell.pop();
+        }
+        if (!cell.length) this.cells.delete(entry.key);
+    }
+}
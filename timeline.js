@@ -0,0 +1,127 @@
+// Optional start/end timestamps on nodes and links, and the scrub/playback position moving through them
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Plain numbers below this are years rather than epoch milliseconds
+const YEAR_LIMIT = 10000;
+
+// Accepts years (2019, "2019"), epoch milliseconds and anything Date.parse understands.
+// Returns null when there is no timestamp and NaN when it cannot be read.
+export function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return Math.abs(value) < YEAR_LIMIT ? Date.UTC(value, 0, 1) : value;
+
+    const text = String(value).trim();
+    if (/^-?\d{1,4}$/.test(text)) return Date.UTC(Number(text), 0, 1);
+    return Date.parse(text);
+}
+
+// Coarser formats for longer histories
+export function formatTimestamp(time, spanMs = 0) {
+    const iso = new Date(time).toISOString();
+    if (spanMs > 3 * 365 * DAY_MS) return iso.slice(0, 4);
+    if (spanMs > 60 * DAY_MS) return iso.slice(0, 7);
+    return iso.slice(0, 10);
+}
+
+// { min, max } over every start/end in the data, or null when nothing is time-stamped
+export function getTimeExtent(graphData) {
+    let min = Infinity;
+    let max = -Infinity;
+    [...graphData.nodes, ...graphData.links].forEach(item => {
+        [item.start, item.end].map(parseTimestamp).filter(Number.isFinite).forEach(time => {
+            min = Math.min(min, time);
+            max = Math.max(max, time);
+        });
+    });
+    return Number.isFinite(min) ? { min, max } : null;
+}
+
+const clamp01 = value => Math.min(Math.max(value, 0), 1);
+
+export class Timeline {
+    constructor({ playDurationMs = 20000, fadeFraction = 0.03 } = {}) {
+        this.playDurationMs = playDurationMs;
+        this.fadeFraction = fadeFraction;
+        this.extent = null;
+        this.time = null;
+        this.isPlaying = false;
+        this.lastUpdateTime = null;
+        this.spans = new WeakMap();
+    }
+
+    get isEnabled() {
+        return this.extent !== null;
+    }
+
+    get span() {
+        return this.extent ? this.extent.max - this.extent.min : 0;
+    }
+
+    // Keeps the current time when it is still inside the new extent; otherwise starts at the end so everything shows
+    setGraphData(graphData) {
+        this.spans = new WeakMap();
+        this.extent = getTimeExtent(graphData);
+        if (!this.extent) {
+            this.time = null;
+            this.isPlaying = false;
+        } else if (this.time === null || this.time < this.extent.min || this.time > this.extent.max) {
+            this.time = this.extent.max;
+        }
+    }
+
+    // Returns true when the time actually moved
+    setTime(time) {
+        if (!this.extent || !Number.isFinite(time)) return false;
+        const clamped = Math.min(Math.max(time, this.extent.min), this.extent.max);
+        if (clamped === this.time) return false;
+        this.time = clamped;
+        return true;
+    }
+
+    // Moves by a fraction of the whole history
+    scrubBy(fraction) {
+        return this.setTime(this.time + fraction * this.span);
+    }
+
+    get progress() {
+        return this.span ? (this.time - this.extent.min) / this.span : 1;
+    }
+
+    play() {
+        if (!this.extent) return;
+        if (this.time >= this.extent.max) this.time = this.extent.min;
+        this.isPlaying = true;
+        this.lastUpdateTime = null;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    // Advances playback; returns true when the time changed this frame
+    update(now = performance.now()) {
+        if (!this.isPlaying) return false;
+        const elapsed = this.lastUpdateTime === null ? 0 : now - this.lastUpdateTime;
+        this.lastUpdateTime = now;
+
+        const changed = this.setTime(this.time + elapsed / this.playDurationMs * this.span);
+        if (this.time >= this.extent.max) this.isPlaying = false;
+        return changed;
+    }
+
+    // 1 while the item exists at the current time, ramping to 0 across a short window before its start and after its end
+    getOpacity(item) {
+        if (!this.extent || !item) return 1;
+
+        let span = this.spans.get(item);
+        if (!span) {
+            span = { start: parseTimestamp(item.start), end: parseTimestamp(item.end) };
+            this.spans.set(item, span);
+        }
+        const fadeWindow = this.span * this.fadeFraction || 1;
+        let opacity = 1;
+        if (Number.isFinite(span.start)) opacity = Math.min(opacity, clamp01(1 + (this.time - span.start) / fadeWindow));
+        if (Number.isFinite(span.end)) opacity = Math.min(opacity, clamp01(1 + (span.end - this.time) / fadeWindow));
+        return opacity;
+    }
+}
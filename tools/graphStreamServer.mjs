@@ -0,0 +1,73 @@
+// Local test server for the live graph feed. Streams random patches as Server-Sent Events.
+//
+//   node tools/graphStreamServer.mjs [port] [intervalMs]
+//
+// then open index.html?stream=http://localhost:8090/stream
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const port = Number(process.argv[2]) || 8090;
+const intervalMs = Number(process.argv[3]) || 1500;
+const graph = JSON.parse(readFileSync(new URL('../assets/data.json', import.meta.url), 'utf8'));
+
+const baseIds = graph.nodes.map(node => node.id);
+const groups = [...new Set(graph.nodes.map(node => node.group))];
+
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+// Each connection gets its own generator, so one client's removals never refer to nodes another
+// client (or an earlier connection of the same client) was never sent
+function createPatchGenerator() {
+    const addedIds = [];
+    let counter = 0;
+
+    return function nextPatch() {
+        const roll = Math.random();
+        if (roll < 0.4 || !addedIds.length) {
+            const id = `stream-${++counter}`;
+            addedIds.push(id);
+            return [
+                { op: 'addNode', node: { id, group: pick(groups), name: `Streamed ${counter}` } },
+                { op: 'addLink', link: { source: id, target: pick(baseIds), value: 1 + Math.floor(Math.random() * 10) } }
+            ];
+        }
+        if (roll < 0.6) {
+            return { op: 'updateNode', id: pick(addedIds), changes: { group: pick(groups) } };
+        }
+        if (roll < 0.8) {
+            const source = pick(addedIds);
+            const target = pick(baseIds);
+            return { op: 'addLink', link: { source, target, value: 1 + Math.floor(Math.random() * 10) } };
+        }
+        const id = addedIds.splice(Math.floor(Math.random() * addedIds.length), 1)[0];
+        return { op: 'removeNode', id };
+    };
+}
+
+const server = createServer((req, res) => {
+    if (req.url !== '/stream') {
+        res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+
+    // A new connection starts from the base graph; anything streamed to an earlier one is dropped
+    res.write(`data: ${JSON.stringify({ snapshot: graph })}\n\n`);
+    const nextPatch = createPatchGenerator();
+    const timer = setInterval(() => {
+        res.write(`data: ${JSON.stringify(nextPatch())}\n\n`);
+    }, intervalMs);
+    req.on('close', () => clearInterval(timer));
+});
+
+server.listen(port, () => {
+    console.log(`Graph stream on http://localhost:${port}/stream (every ${intervalMs} ms)`);
+});
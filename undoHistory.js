@@ -0,0 +1,58 @@
+// Undo/redo stack of reversible actions: { label, undo(), redo() }
+
+export class UndoHistory {
+    constructor({ limit = 100 } = {}) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        // Set while an entry is being undone or redone, so replaying an action does not record it again
+        this.isApplying = false;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // A new action drops anything that was undone before it
+    record(entry) {
+        if (this.isApplying) return;
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // Returns the entry that was undone, or null when there is nothing to undo
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this._apply(() => entry.undo());
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this._apply(() => entry.redo());
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    _apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// Velocity of a moving point over its last few samples, used to throw nodes and to keep rotations turning
+
+export class VelocityTracker {
+    constructor({ windowMs = 100 } = {}) {
+        this.windowMs = windowMs;
+        this.samples = [];
+    }
+
+    // point: { x, y, z? }
+    add(point, time = performance.now()) {
+        this.samples.push({ time, x: point.x, y: point.y, z: point.z || 0 });
+        while (this.samples.length > 2 && time - this.samples[0].time > this.windowMs) this.samples.shift();
+    }
+
+    // Units per millisecond; zero until two samples have been taken at different times.
+    // A point that stopped before its last sample reads as still.
+    velocity(now = performance.now()) {
+        const first = this.samples[0];
+        const last = this.samples[this.samples.length - 1];
+        const elapsed = last && last.time - first.time;
+        if (!elapsed || now - last.time > this.windowMs) return { x: 0, y: 0, z: 0 };
+        return {
+            x: (last.x - first.x) / elapsed,
+            y: (last.y - first.y) / elapsed,
+            z: (last.z - first.z) / elapsed
+        };
+    }
+
+    reset() {
+        this.samples = [];
+    }
+}